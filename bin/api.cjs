@@ -0,0 +1,297 @@
+const Y = require('yjs')
+const utils = require('./utils.cjs')
+const getContent = require('./callback.cjs').getContent
+
+/**
+ * @type {Object<string,Function>}
+ */
+const contentConstructors = {
+  Array: Y.Array,
+  Map: Y.Map,
+  Text: Y.Text,
+  XmlFragment: Y.XmlFragment,
+  XmlElement: Y.XmlElement
+}
+
+const contentTypes = Object.keys(contentConstructors)
+
+/**
+ * Updates posted to the api may not be larger than this.
+ */
+const maxBodySize = 10 * 1024 * 1024
+
+/**
+ * @param {import('http').ServerResponse} res
+ * @param {number} status
+ * @param {any} body
+ */
+const sendJSON = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' })
+  res.end(JSON.stringify(body))
+}
+
+/**
+ * @param {import('http').IncomingMessage} req
+ * @return {Promise<Uint8Array|null>} null if the body is too large
+ */
+const readBody = req => new Promise((resolve, reject) => {
+  /**
+   * @type {Array<Buffer>}
+   */
+  const chunks = []
+  let size = 0
+  req.on('data', chunk => {
+    size += chunk.length
+    if (size > maxBodySize) {
+      req.removeAllListeners('data')
+      req.resume()
+      resolve(null)
+    } else {
+      chunks.push(chunk)
+    }
+  })
+  req.on('end', () => resolve(new Uint8Array(Buffer.concat(chunks))))
+  req.on('error', reject)
+})
+
+/**
+ * Load a document to apply an update. Documents that are not in memory are
+ * loaded from the persistence layer or created.
+ *
+ * @param {string} docName
+ * @param {import('./utils.cjs').RequestContext} context
+ * @return {Promise<import('./utils.cjs').WSSharedDoc>}
+ */
+const loadDoc = async (docName, context) => {
+  const doc = utils.getYDoc(docName, undefined, context)
+  await doc.whenInitialized
+  return doc
+}
+
+/**
+ * Get a document to read it. Documents that are not in memory are read from
+ * the persistence layer into a temporary document, which the caller must
+ * destroy. Resolves to null if the document doesn't exist.
+ *
+ * @param {string} docName
+ * @return {Promise<Y.Doc|null>}
+ */
+const readDoc = async docName => {
+  const doc = utils.docs.get(docName)
+  if (doc !== undefined) {
+    await doc.whenInitialized
+    return doc
+  }
+  const persistence = utils.getPersistence()
+  if (persistence === null) {
+    return null
+  }
+  // not a WSSharedDoc, so that nothing is stored or broadcast
+  const stored = new Y.Doc()
+  await persistence.bindState(docName, stored)
+  if (stored.store.clients.size === 0) {
+    stored.destroy()
+    return null
+  }
+  return stored
+}
+
+/**
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ */
+const listDocs = (req, res) => {
+  sendJSON(res, 200, {
+    docs: Array.from(utils.docs.values()).map(doc => ({
+      name: doc.name,
+      conns: doc.conns.size,
+      subdocs: Array.from((utils.subdocsMap.get(doc.name) || new Map()).keys())
+    }))
+  })
+}
+
+/**
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ * @param {Y.Doc} doc
+ */
+const getState = (req, res, doc) => {
+  const update = Y.encodeStateAsUpdate(doc)
+  res.writeHead(200, { 'Content-Type': 'application/octet-stream', 'Content-Length': update.byteLength })
+  res.end(update)
+}
+
+/**
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ * @param {Y.Doc} doc
+ * @param {string} docName
+ * @param {URLSearchParams} query
+ */
+const getJSON = (req, res, doc, docName, query) => {
+  /**
+   * @type {Object<string,string>}
+   */
+  let objects
+  try {
+    objects = JSON.parse(query.get('objects') || '')
+  } catch (err) {
+    sendJSON(res, 400, { error: 'Expected the query parameter "objects", e.g. objects={"prosemirror":"XmlFragment"}' })
+    return
+  }
+  /**
+   * @type {Object<string,any>}
+   */
+  const data = {}
+  for (const objName in objects) {
+    const objType = objects[objName]
+    if (contentTypes.indexOf(objType) < 0) {
+      sendJSON(res, 400, { error: `Unknown type "${objType}". Expected one of: ${contentTypes.join(', ')}` })
+      return
+    }
+    // don't create shared objects on the document, and don't access them
+    // with another type, which throws
+    const shared = doc.share.get(objName)
+    if (shared === undefined) {
+      sendJSON(res, 404, { error: `Shared object "${objName}" not found` })
+      return
+    }
+    if (shared.constructor !== Y.AbstractType && shared.constructor !== contentConstructors[objType]) {
+      sendJSON(res, 400, { error: `Shared object "${objName}" is not of type "${objType}"` })
+      return
+    }
+    data[objName] = {
+      type: objType,
+      content: /** @type {Y.AbstractType<any>} */ (getContent(objName, objType, doc)).toJSON()
+    }
+  }
+  sendJSON(res, 200, { room: docName, data })
+}
+
+/**
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ * @param {import('./utils.cjs').WSSharedDoc} doc
+ * @param {import('./utils.cjs').RequestContext} context
+ */
+const applyUpdate = async (req, res, doc, context) => {
+  const update = await readBody(req)
+  if (update === null) {
+    sendJSON(res, 413, { error: 'Update too large' })
+    return
+  }
+  if (utils.exceedsMaxDocumentSize(doc, update)) {
+    sendJSON(res, 413, { error: 'Document too large' })
+    return
+  }
+  const rejection = utils.validateUpdate(doc, update, context)
+  if (rejection !== null) {
+    sendJSON(res, 422, { error: rejection.reason })
+    return
+  }
+  try {
+    // The update is broadcast to all connected clients by the update handler of the document
+    Y.applyUpdate(doc, update, 'api')
+  } catch (err) {
+    sendJSON(res, 400, { error: 'Malformed update' })
+    return
+  }
+  sendJSON(res, 200, { room: doc.name })
+}
+
+/**
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ * @param {URL} url
+ * @param {string} encodedDocName
+ * @param {string|undefined} action
+ */
+const handleDocRequest = async (req, res, url, encodedDocName, action) => {
+  let docName
+  try {
+    docName = decodeURIComponent(encodedDocName)
+  } catch (err) {
+    sendJSON(res, 400, { error: 'Malformed document name' })
+    return
+  }
+  const auth = await utils.authorize(req, docName)
+  if (auth === null) {
+    sendJSON(res, 401, { error: 'Unauthorized' })
+    return
+  }
+  const context = utils.createRequestContext(req, docName, auth)
+  if (req.method === 'GET' && action !== 'update') {
+    const doc = await readDoc(docName)
+    if (doc === null) {
+      sendJSON(res, 404, { error: 'Document not found' })
+      return
+    }
+    try {
+      if (action === 'json') {
+        getJSON(req, res, doc, docName, url.searchParams)
+      } else {
+        getState(req, res, doc)
+      }
+    } finally {
+      if (utils.docs.get(docName) !== doc) {
+        doc.destroy()
+      }
+    }
+  } else if (req.method === 'POST' && action === 'update') {
+    if (auth.readOnly) {
+      sendJSON(res, 403, { error: 'Read-only access' })
+      return
+    }
+    const doc = await loadDoc(docName, context)
+    await applyUpdate(req, res, doc, context)
+    utils.unloadDoc(doc, context)
+  } else {
+    sendJSON(res, 405, { error: 'Method not allowed' })
+  }
+}
+
+/**
+ * Handle requests to the document api. Returns false if the request does not
+ * address the api.
+ *
+ * - `GET /docs` lists the documents in memory with their number of connections
+ * - `GET /docs/:name` returns the document state as a binary Yjs update
+ * - `GET /docs/:name/json?objects={"name":"Type"}` returns the JSON of the named shared types
+ * - `POST /docs/:name/update` applies the binary Yjs update in the request body
+ *
+ * Document requests are checked by the authorizer (see `setAuthorizer` in
+ * ./utils.cjs). Listing documents calls the authorizer with an empty document
+ * name.
+ *
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ * @return {boolean}
+ */
+exports.handleRequest = (req, res) => {
+  const url = new URL(req.url || '/', 'http://localhost')
+  const match = /^\/docs(?:\/([^/]+)(?:\/(json|update))?)?\/?$/.exec(url.pathname)
+  if (match === null) {
+    return false
+  }
+  let handled
+  if (match[1] === undefined) {
+    handled = utils.authorize(req, '').then(auth => {
+      if (auth === null) {
+        sendJSON(res, 401, { error: 'Unauthorized' })
+      } else if (req.method !== 'GET') {
+        sendJSON(res, 405, { error: 'Method not allowed' })
+      } else {
+        listDocs(req, res)
+      }
+    })
+  } else {
+    handled = handleDocRequest(req, res, url, match[1], match[2])
+  }
+  handled.catch(err => {
+    console.error(err)
+    if (!res.headersSent) {
+      sendJSON(res, 500, { error: 'Internal server error' })
+    }
+  })
+  return true
+}
@@ -0,0 +1,220 @@
+const Y = require('yjs')
+const awarenessProtocol = require('y-protocols/awareness')
+
+const encoding = require('lib0/encoding')
+const decoding = require('lib0/decoding')
+const random = require('lib0/random')
+const map = require('lib0/map')
+
+/**
+ * A backplane relays messages between server processes that serve the same
+ * documents. Every document is a topic. Messages are delivered to all
+ * subscribers of a topic, including the publisher.
+ *
+ * @typedef {Object} Backplane
+ * @property {function(string,Uint8Array):void} publish
+ * @property {function(string,function(Uint8Array):void):void} subscribe
+ * @property {function(string,function(Uint8Array):void):void} unsubscribe
+ * @property {function():Promise<void>} [destroy]
+ */
+
+const messageUpdate = 0
+const messageAwareness = 1
+// request the state of all other processes. They reply with an update and their own state vector
+const messageSyncStep1 = 2
+// reply to a sync request, only answered with an update
+const messageSyncStep1Reply = 3
+
+/**
+ * Origin of all changes that were received from the backplane
+ */
+const backplaneOrigin = { backplane: true }
+
+exports.backplaneOrigin = backplaneOrigin
+
+/**
+ * Relay document updates and awareness of `doc` over `backplane` until the
+ * document is destroyed.
+ *
+ * @param {Backplane} backplane
+ * @param {import('./utils.cjs').WSSharedDoc} doc
+ */
+exports.bindBackplane = (backplane, doc) => {
+  const topic = doc.name
+  const senderId = random.uuidv4()
+  /**
+   * @param {number} messageType
+   * @param {Uint8Array} payload
+   */
+  const publish = (messageType, payload) => {
+    const encoder = encoding.createEncoder()
+    encoding.writeVarString(encoder, senderId)
+    encoding.writeVarUint(encoder, messageType)
+    encoding.writeVarUint8Array(encoder, payload)
+    backplane.publish(topic, encoding.toUint8Array(encoder))
+  }
+  const publishAwarenessStates = () => {
+    const clients = Array.from(doc.awareness.getStates().keys())
+    if (clients.length > 0) {
+      publish(messageAwareness, awarenessProtocol.encodeAwarenessUpdate(doc.awareness, clients))
+    }
+  }
+  /**
+   * @param {Uint8Array} message
+   */
+  const messageHandler = message => {
+    try {
+      const decoder = decoding.createDecoder(message)
+      if (decoding.readVarString(decoder) === senderId) {
+        return
+      }
+      const messageType = decoding.readVarUint(decoder)
+      const payload = decoding.readVarUint8Array(decoder)
+      switch (messageType) {
+        case messageUpdate:
+          Y.applyUpdate(doc, payload, backplaneOrigin)
+          break
+        case messageAwareness:
+          awarenessProtocol.applyAwarenessUpdate(doc.awareness, payload, backplaneOrigin)
+          break
+        case messageSyncStep1:
+        case messageSyncStep1Reply: {
+          const update = Y.encodeStateAsUpdate(doc, payload)
+          // an update without structs and deletions consists of two zero bytes
+          if (update.byteLength > 2) {
+            publish(messageUpdate, update)
+          }
+          if (messageType === messageSyncStep1) {
+            publish(messageSyncStep1Reply, Y.encodeStateVector(doc))
+            publishAwarenessStates()
+          }
+          break
+        }
+      }
+    } catch (err) {
+      console.error(`Failed to apply backplane message for "${topic}"`, err)
+    }
+  }
+  /**
+   * @param {Uint8Array} update
+   * @param {any} origin
+   */
+  const updateHandler = (update, origin) => {
+    if (origin !== backplaneOrigin) {
+      publish(messageUpdate, update)
+    }
+  }
+  /**
+   * @param {{ added: Array<number>, updated: Array<number>, removed: Array<number> }} changes
+   * @param {any} origin
+   */
+  const awarenessHandler = ({ added, updated, removed }, origin) => {
+    if (origin !== backplaneOrigin) {
+      publish(messageAwareness, awarenessProtocol.encodeAwarenessUpdate(doc.awareness, added.concat(updated, removed)))
+    }
+  }
+  backplane.subscribe(topic, messageHandler)
+  doc.on('update', updateHandler)
+  doc.awareness.on('update', awarenessHandler)
+  doc.on('destroy', () => {
+    backplane.unsubscribe(topic, messageHandler)
+    doc.off('update', updateHandler)
+    doc.awareness.off('update', awarenessHandler)
+  })
+  // fetch the state from the other processes once the document is loaded
+  doc.whenInitialized.then(() => {
+    publish(messageSyncStep1, Y.encodeStateVector(doc))
+  })
+}
+
+/**
+ * A backplane that relays messages within the current process. Useful for
+ * tests and for running several servers in one process.
+ *
+ * @return {Backplane}
+ */
+exports.createLocalBackplane = () => {
+  /**
+   * @type {Map<string, Set<function(Uint8Array):void>>}
+   */
+  const topics = new Map()
+  return {
+    publish: (topic, message) => {
+      const handlers = topics.get(topic)
+      if (handlers !== undefined) {
+        // deliver asynchronously, like a network backplane
+        Array.from(handlers).forEach(handler => {
+          setImmediate(handler, message)
+        })
+      }
+    },
+    subscribe: (topic, handler) => {
+      map.setIfUndefined(topics, topic, () => new Set()).add(handler)
+    },
+    unsubscribe: (topic, handler) => {
+      const handlers = topics.get(topic)
+      if (handlers !== undefined) {
+        handlers.delete(handler)
+        if (handlers.size === 0) {
+          topics.delete(topic)
+        }
+      }
+    },
+    destroy: async () => {
+      topics.clear()
+    }
+  }
+}
+
+/**
+ * A backplane using Redis pub/sub. Requires the `redis` package (v4).
+ *
+ * @param {string} url e.g. redis://localhost:6379
+ * @param {string} [prefix] prefix of the redis channels
+ * @return {Backplane}
+ */
+exports.createRedisBackplane = (url, prefix = 'y-websocket:') => {
+  // @ts-ignore
+  const { createClient } = require('redis')
+  const pub = createClient({ url })
+  const sub = pub.duplicate()
+  /**
+   * @param {Error} err
+   */
+  const onError = err => { console.error('Redis backplane error', err) }
+  pub.on('error', onError)
+  sub.on('error', onError)
+  pub.connect().catch(onError)
+  sub.connect().catch(onError)
+  /**
+   * @type {Map<string, Set<function(Uint8Array):void>>}
+   */
+  const topics = new Map()
+  return {
+    publish: (topic, message) => {
+      pub.publish(prefix + topic, Buffer.from(message.buffer, message.byteOffset, message.byteLength)).catch(onError)
+    },
+    subscribe: (topic, handler) => {
+      map.setIfUndefined(topics, topic, () => {
+        const handlers = new Set()
+        sub.subscribe(prefix + topic, /** @param {Buffer} message */ message => {
+          handlers.forEach(h => h(new Uint8Array(message)))
+        }, true).catch(onError)
+        return handlers
+      }).add(handler)
+    },
+    unsubscribe: (topic, handler) => {
+      const handlers = topics.get(topic)
+      if (handlers !== undefined) {
+        handlers.delete(handler)
+        if (handlers.size === 0) {
+          topics.delete(topic)
+          sub.unsubscribe(prefix + topic).catch(onError)
+        }
+      }
+    },
+    destroy: async () => {
+      await Promise.all([pub.quit(), sub.quit()])
+    }
+  }
+}
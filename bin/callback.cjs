@@ -1,12 +1,153 @@
 const http = require('http')
+const https = require('https')
+const crypto = require('crypto')
+const Y = require('yjs')
 const number = require('lib0/number')
 
 const CALLBACK_URL = process.env.CALLBACK_URL ? new URL(process.env.CALLBACK_URL) : null
 const CALLBACK_TIMEOUT = number.parseInt(process.env.CALLBACK_TIMEOUT || '5000')
 const CALLBACK_OBJECTS = process.env.CALLBACK_OBJECTS ? JSON.parse(process.env.CALLBACK_OBJECTS) : {}
+// signs the callback body with HMAC-SHA256 if set
+const CALLBACK_SECRET = process.env.CALLBACK_SECRET || null
+const CALLBACK_RETRIES = number.parseInt(process.env.CALLBACK_RETRIES || '3')
+const CALLBACK_RETRY_DELAY = number.parseInt(process.env.CALLBACK_RETRY_DELAY || '1000')
+const CALLBACK_QUEUE_SIZE = number.parseInt(process.env.CALLBACK_QUEUE_SIZE || '100')
 
 exports.isCallbackSet = !!CALLBACK_URL
 
+/**
+ * - `content`: the JSON of the shared object
+ * - `update`: the binary Yjs update (base64) of the document since the previous callback
+ * - `delta`: the changes of the shared object since the previous callback
+ *
+ * @typedef {'content'|'update'|'delta'} CallbackPayload
+ */
+
+/**
+ * @typedef {Object} CallbackObject
+ * @property {string} type
+ * @property {CallbackPayload} payload
+ */
+
+/**
+ * `CALLBACK_OBJECTS` maps the name of a shared object either to its type, or to
+ * `{ "type": "Text", "payload": "delta" }`.
+ *
+ * @type {Object<string,CallbackObject>}
+ */
+const callbackObjects = {}
+for (const objName in CALLBACK_OBJECTS) {
+  const obj = CALLBACK_OBJECTS[objName]
+  callbackObjects[objName] = typeof obj === 'string'
+    ? { type: obj, payload: 'content' }
+    : { type: obj.type, payload: obj.payload || 'content' }
+}
+
+/**
+ * A change of a shared object (or of a type nested in it). `delta` describes
+ * changes of the content, `keys` changes of map entries and xml attributes.
+ *
+ * @typedef {Object} CallbackChange
+ * @property {Array<string|number>} path path from the shared object to the changed type
+ * @property {Array<{ insert?: any, retain?: number, delete?: number, attributes?: Object<string,any> }>} [delta]
+ * @property {Object<string,{ action: 'add'|'update'|'delete', value?: any }>} [keys]
+ */
+
+/**
+ * @typedef {Object} CallbackState
+ * @property {Uint8Array} stateVector state of the document at the previous callback
+ * @property {Map<string,Array<CallbackChange>>} changes changes of `delta` objects since the previous callback
+ * @property {{ cancel: function():void }} debouncedHandler the debounced `callbackHandler` of the document
+ */
+
+/**
+ * @type {WeakMap<Y.Doc,CallbackState>}
+ */
+const callbackStates = new WeakMap()
+
+/**
+ * @param {any} value
+ * @return {any}
+ */
+const toJSON = value => value instanceof Y.AbstractType ? value.toJSON() : value
+
+/**
+ * @param {Y.YEvent<any>} event
+ * @return {CallbackChange}
+ */
+const encodeChange = event => {
+  /**
+   * @type {CallbackChange}
+   */
+  const change = { path: event.path }
+  const target = event.target
+  if (event.changes.keys.size > 0 && (target instanceof Y.Map || target instanceof Y.XmlElement)) {
+    change.keys = {}
+    event.changes.keys.forEach(({ action }, key) => {
+      /** @type {Object<string,any>} */ (change.keys)[key] = action === 'delete'
+        ? { action }
+        : { action, value: toJSON(target instanceof Y.Map ? target.get(key) : target.getAttribute(key)) }
+    })
+  }
+  if (!(target instanceof Y.Map)) {
+    const delta = target instanceof Y.Text ? event.delta : event.changes.delta
+    if (delta.length > 0) {
+      change.delta = delta.map(op => op.insert === undefined
+        ? op
+        : { ...op, insert: op.insert instanceof Array ? op.insert.map(toJSON) : toJSON(op.insert) })
+    }
+  }
+  return change
+}
+
+/**
+ * Start tracking the changes that the next callback of `doc` reports. Must be
+ * called when the document is created, and `resetCallback` once its stored
+ * content was loaded.
+ *
+ * @param {import('./utils.cjs').WSSharedDoc} doc
+ * @param {{ cancel: function():void }} debouncedHandler the debounced `callbackHandler` that listens to the updates of `doc`
+ */
+exports.bindCallback = (doc, debouncedHandler) => {
+  /**
+   * @type {CallbackState}
+   */
+  const state = { stateVector: Y.encodeStateVector(doc), changes: new Map(), debouncedHandler }
+  callbackStates.set(doc, state)
+  for (const objName in callbackObjects) {
+    const { type, payload } = callbackObjects[objName]
+    if (payload === 'delta') {
+      /**
+       * @type {Array<CallbackChange>}
+       */
+      const changes = []
+      state.changes.set(objName, changes)
+      const content = getContent(objName, type, doc)
+      if (content instanceof Y.AbstractType) {
+        content.observeDeep(events => {
+          events.forEach(event => { changes.push(encodeChange(event)) })
+        })
+      }
+    }
+  }
+}
+
+/**
+ * Forget the changes that were tracked so far, e.g. loading the stored content
+ * of the document, so that the next callback doesn't report them. A callback
+ * that these changes scheduled is canceled.
+ *
+ * @param {import('./utils.cjs').WSSharedDoc} doc
+ */
+exports.resetCallback = doc => {
+  const state = callbackStates.get(doc)
+  if (state) {
+    state.debouncedHandler.cancel()
+    state.stateVector = Y.encodeStateVector(doc)
+    state.changes.forEach(changes => { changes.splice(0) })
+  }
+}
+
 /**
  * @param {Uint8Array} update
  * @param {any} origin
@@ -18,52 +159,153 @@ exports.callbackHandler = (update, origin, doc) => {
     room,
     data: {}
   }
-  const sharedObjectList = Object.keys(CALLBACK_OBJECTS)
+  const state = callbackStates.get(doc)
+  const docUpdate = Y.encodeStateAsUpdate(doc, state && state.stateVector)
+  const sharedObjectList = Object.keys(callbackObjects)
   sharedObjectList.forEach(sharedObjectName => {
-    const sharedObjectType = CALLBACK_OBJECTS[sharedObjectName]
-    dataToSend.data[sharedObjectName] = {
-      type: sharedObjectType,
-      content: getContent(sharedObjectName, sharedObjectType, doc).toJSON()
+    const { type: sharedObjectType, payload } = callbackObjects[sharedObjectName]
+    switch (payload) {
+      case 'update':
+        dataToSend.data[sharedObjectName] = {
+          type: sharedObjectType,
+          update: Buffer.from(docUpdate).toString('base64')
+        }
+        break
+      case 'delta': {
+        const changes = state && state.changes.get(sharedObjectName)
+        dataToSend.data[sharedObjectName] = {
+          type: sharedObjectType,
+          changes: changes ? changes.splice(0) : []
+        }
+        break
+      }
+      default:
+        dataToSend.data[sharedObjectName] = {
+          type: sharedObjectType,
+          content: getContent(sharedObjectName, sharedObjectType, doc).toJSON()
+        }
     }
   })
-  CALLBACK_URL && callbackRequest(CALLBACK_URL, CALLBACK_TIMEOUT, dataToSend)
+  if (state) {
+    state.stateVector = Y.encodeStateVector(doc)
+  }
+  CALLBACK_URL && enqueueCallback(CALLBACK_URL, CALLBACK_TIMEOUT, dataToSend)
 }
 
+/**
+ * @typedef {Object} CallbackRequest
+ * @property {URL} url
+ * @property {number} timeout
+ * @property {string} body
+ * @property {number} attempts
+ */
+
+/**
+ * Callbacks are sent one after another, so that the receiver gets the changes
+ * of a document in order.
+ *
+ * @type {Array<CallbackRequest>}
+ */
+const queue = []
+let sending = false
+
 /**
  * @param {URL} url
  * @param {number} timeout
  * @param {Object} data
  */
-const callbackRequest = (url, timeout, data) => {
-  data = JSON.stringify(data)
+const enqueueCallback = (url, timeout, data) => {
+  if (queue.length >= CALLBACK_QUEUE_SIZE) {
+    console.warn('Callback queue is full. Dropping the oldest callback.')
+    queue.shift()
+  }
+  queue.push({ url, timeout, body: JSON.stringify(data), attempts: 0 })
+  sendNext()
+}
+
+const sendNext = () => {
+  const request = queue[0]
+  if (sending || request === undefined) {
+    return
+  }
+  sending = true
+  callbackRequest(request.url, request.timeout, request.body).then(retry => {
+    request.attempts++
+    if (retry && request.attempts <= CALLBACK_RETRIES) {
+      // retry with exponential backoff. The request stays at the head of the queue
+      setTimeout(() => {
+        sending = false
+        sendNext()
+      }, CALLBACK_RETRY_DELAY * Math.pow(2, request.attempts - 1))
+      return
+    }
+    sending = false
+    if (retry) {
+      console.error(`Callback failed after ${request.attempts} attempts. Dropping it.`)
+    }
+    // the request may have been dropped from the full queue in the meantime
+    if (queue[0] === request) {
+      queue.shift()
+    }
+    sendNext()
+  })
+}
+
+/**
+ * Send a callback. Resolves to `true` if the request should be retried.
+ *
+ * @param {URL} url
+ * @param {number} timeout
+ * @param {string} data
+ * @return {Promise<boolean>}
+ */
+const callbackRequest = (url, timeout, data) => new Promise(resolve => {
+  /**
+   * @type {Object<string,string|number>}
+   */
+  const headers = {
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(data)
+  }
+  if (CALLBACK_SECRET !== null) {
+    // the receiver verifies HMAC-SHA256(secret, timestamp + '.' + body)
+    const timestamp = Date.now().toString()
+    headers['X-Y-Timestamp'] = timestamp
+    headers['X-Y-Signature'] = 'sha256=' + crypto.createHmac('sha256', CALLBACK_SECRET).update(timestamp + '.' + data).digest('hex')
+  }
   const options = {
     hostname: url.hostname,
     port: url.port,
-    path: url.pathname,
+    path: url.pathname + url.search,
     timeout,
     method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Content-Length': Buffer.byteLength(data)
-    }
+    headers
   }
-  const req = http.request(options)
+  const req = (url.protocol === 'https:' ? https : http).request(options, res => {
+    res.resume()
+    const status = res.statusCode || 0
+    if (status >= 300) {
+      console.warn(`Callback request failed with status ${status}.`)
+    }
+    // retry server errors and rate limits, but not rejected requests
+    resolve(status >= 500 || status === 429)
+  })
   req.on('timeout', () => {
     console.warn('Callback request timed out.')
-    req.abort()
+    req.destroy()
   })
   req.on('error', (e) => {
     console.error('Callback request error.', e)
-    req.abort()
+    resolve(true)
   })
   req.write(data)
   req.end()
-}
+})
 
 /**
  * @param {string} objName
  * @param {string} objType
- * @param {import('./utils.cjs').WSSharedDoc} doc
+ * @param {Y.Doc} doc
  */
 const getContent = (objName, objType, doc) => {
   switch (objType) {
@@ -75,3 +317,5 @@ const getContent = (objName, objType, doc) => {
     default : return {}
   }
 }
+
+exports.getContent = getContent
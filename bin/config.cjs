@@ -0,0 +1,412 @@
+const fs = require('fs')
+const path = require('path')
+
+/**
+ * Configuration of the y-websocket server. Every setting can be passed as a
+ * command line flag, an environment variable or a key of the config file.
+ * Flags take precedence over environment variables, which take precedence over
+ * the config file.
+ */
+
+/**
+ * @typedef {'string'|'integer'|'port'|'boolean'|'url'|'file'|'path'|'json'} SettingType
+ */
+
+/**
+ * @typedef {Object} Setting
+ * @property {string} key name in the config file. The flag is the kebab-case of the key
+ * @property {string} env name of the environment variable
+ * @property {SettingType} type
+ * @property {any} [default]
+ * @property {string} description
+ */
+
+/**
+ * @typedef {Object} Config
+ * @property {string} host
+ * @property {number} port
+ * @property {string} pathPrefix
+ * @property {string} [tlsCert]
+ * @property {string} [tlsKey]
+ * @property {boolean} gc
+ * @property {number} pingTimeout
+ * @property {number} shutdownTimeout
+ * @property {number} broadcastBatchInterval
+ * @property {number} awarenessThrottle
+ * @property {boolean} perMessageDeflate
+ * @property {number} maxMessageSize
+ * @property {number} maxMessagesPerSecond
+ * @property {number} maxBytesPerSecond
+ * @property {number} maxDocumentSize
+ * @property {number} maxSubdocsPerRoom
+ * @property {number} maxConnectionsPerRoom
+ * @property {number} subdocIdleTimeout
+ * @property {string} [persistence]
+ * @property {string} persistenceAdapter
+ * @property {number} persistenceCompactUpdates
+ * @property {number} persistenceCompactBytes
+ * @property {number} persistenceSnapshotInterval
+ * @property {number} persistenceMaxSnapshots
+ * @property {string} [backplane]
+ * @property {string} [callbackUrl]
+ * @property {number} callbackTimeout
+ * @property {Object<string,any>} [callbackObjects]
+ * @property {number} callbackDebounceWait
+ * @property {number} callbackDebounceMaxwait
+ * @property {string} [callbackSecret]
+ * @property {number} callbackRetries
+ * @property {number} callbackRetryDelay
+ * @property {number} callbackQueueSize
+ */
+
+/**
+ * @type {Array<Setting>}
+ */
+const settings = [
+  { key: 'host', env: 'HOST', type: 'string', default: 'localhost', description: 'Interface to listen on' },
+  { key: 'port', env: 'PORT', type: 'port', default: 1234, description: 'Port to listen on' },
+  { key: 'pathPrefix', env: 'PATH_PREFIX', type: 'path', default: '', description: 'Serve documents and the http endpoints below this path, e.g. /yjs' },
+  { key: 'tlsCert', env: 'TLS_CERT', type: 'file', description: 'Certificate file (PEM). Serves https and wss together with --tls-key' },
+  { key: 'tlsKey', env: 'TLS_KEY', type: 'file', description: 'Private key file (PEM) of the certificate' },
+  { key: 'gc', env: 'GC', type: 'boolean', default: true, description: 'Garbage collect deleted content. Disable it to keep snapshots' },
+  { key: 'pingTimeout', env: 'PING_TIMEOUT', type: 'integer', default: 30000, description: 'Close connections that were silent for this many ms' },
+  { key: 'shutdownTimeout', env: 'SHUTDOWN_TIMEOUT', type: 'integer', default: 10000, description: 'Exit after this many ms on shutdown, even if not all documents were stored' },
+  { key: 'broadcastBatchInterval', env: 'BROADCAST_BATCH_INTERVAL', type: 'integer', default: 0, description: 'Merge the updates of a document within this many ms into one message (0 disables batching)' },
+  { key: 'awarenessThrottle', env: 'AWARENESS_THROTTLE', type: 'integer', default: 0, description: 'Broadcast the awareness changes of this many ms together (0 disables throttling)' },
+  { key: 'perMessageDeflate', env: 'PER_MESSAGE_DEFLATE', type: 'boolean', default: false, description: 'Compress messages with the permessage-deflate websocket extension' },
+  { key: 'maxMessageSize', env: 'MAX_MESSAGE_SIZE', type: 'integer', default: 0, description: 'Close connections that send a larger message in bytes (0 = unlimited)' },
+  { key: 'maxMessagesPerSecond', env: 'MAX_MESSAGES_PER_SECOND', type: 'integer', default: 0, description: 'Close connections that send more messages per second (0 = unlimited)' },
+  { key: 'maxBytesPerSecond', env: 'MAX_BYTES_PER_SECOND', type: 'integer', default: 0, description: 'Close connections that send more bytes per second (0 = unlimited)' },
+  { key: 'maxDocumentSize', env: 'MAX_DOCUMENT_SIZE', type: 'integer', default: 0, description: 'Reject updates that make a document larger than this many bytes (0 = unlimited)' },
+  { key: 'maxSubdocsPerRoom', env: 'MAX_SUBDOCS_PER_ROOM', type: 'integer', default: 0, description: 'Maximum number of sub documents of a room in memory (0 = unlimited)' },
+  { key: 'maxConnectionsPerRoom', env: 'MAX_CONNECTIONS_PER_ROOM', type: 'integer', default: 0, description: 'Maximum number of connections to a room (0 = unlimited)' },
+  { key: 'subdocIdleTimeout', env: 'SUBDOC_IDLE_TIMEOUT', type: 'integer', default: 30000, description: 'Unload sub documents without connections after this many ms' },
+  { key: 'persistence', env: 'YPERSISTENCE', type: 'string', description: 'Store documents in this directory or file' },
+  { key: 'persistenceAdapter', env: 'YPERSISTENCE_ADAPTER', type: 'string', default: 'leveldb', description: 'Storage of the documents: leveldb, fs or sqlite' },
+  { key: 'persistenceCompactUpdates', env: 'YPERSISTENCE_COMPACT_UPDATES', type: 'integer', default: 500, description: 'Compact a document after this many stored updates' },
+  { key: 'persistenceCompactBytes', env: 'YPERSISTENCE_COMPACT_BYTES', type: 'integer', default: 10485760, description: 'Compact a document after this many stored bytes' },
+  { key: 'persistenceSnapshotInterval', env: 'YPERSISTENCE_SNAPSHOT_INTERVAL', type: 'integer', default: 0, description: 'Time between snapshots of a changed document in ms (0 disables snapshots)' },
+  { key: 'persistenceMaxSnapshots', env: 'YPERSISTENCE_MAX_SNAPSHOTS', type: 'integer', default: 24, description: 'Number of periodic snapshots to keep per document' },
+  { key: 'backplane', env: 'YBACKPLANE', type: 'url', description: 'Relay documents to other server processes over this redis server' },
+  { key: 'callbackUrl', env: 'CALLBACK_URL', type: 'url', description: 'Send a callback to this http(s) url when a document changes' },
+  { key: 'callbackTimeout', env: 'CALLBACK_TIMEOUT', type: 'integer', default: 5000, description: 'Timeout of a callback request in ms' },
+  { key: 'callbackObjects', env: 'CALLBACK_OBJECTS', type: 'json', description: 'Shared objects to send, e.g. {"prosemirror":"XmlFragment"}' },
+  { key: 'callbackDebounceWait', env: 'CALLBACK_DEBOUNCE_WAIT', type: 'integer', default: 2000, description: 'Debounce time between callbacks in ms' },
+  { key: 'callbackDebounceMaxwait', env: 'CALLBACK_DEBOUNCE_MAXWAIT', type: 'integer', default: 10000, description: 'Maximum time to wait before a callback in ms' },
+  { key: 'callbackSecret', env: 'CALLBACK_SECRET', type: 'string', description: 'Sign callbacks with this secret' },
+  { key: 'callbackRetries', env: 'CALLBACK_RETRIES', type: 'integer', default: 3, description: 'Number of retries of a failed callback' },
+  { key: 'callbackRetryDelay', env: 'CALLBACK_RETRY_DELAY', type: 'integer', default: 1000, description: 'Delay before the first retry of a callback in ms' },
+  { key: 'callbackQueueSize', env: 'CALLBACK_QUEUE_SIZE', type: 'integer', default: 100, description: 'Maximum number of callbacks waiting to be sent' }
+]
+
+exports.settings = settings
+
+/**
+ * Environment variables with these prefixes are reserved for the server, so a
+ * misspelled variable is reported instead of being ignored.
+ */
+const reservedEnvPrefixes = ['YPERSISTENCE', 'CALLBACK_', 'SUBDOC_', 'SHUTDOWN_']
+
+/**
+ * @param {string} key
+ * @return {string}
+ */
+const toFlag = key => '--' + key.replace(/[A-Z]/g, c => '-' + c.toLowerCase())
+
+/**
+ * @param {string} a
+ * @param {string} b
+ * @return {number}
+ */
+const editDistance = (a, b) => {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j)
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i]
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1))
+    }
+    prev = row
+  }
+  return prev[b.length]
+}
+
+/**
+ * @param {string} name
+ * @param {Array<string>} candidates
+ * @return {string}
+ */
+const didYouMean = (name, candidates) => {
+  const match = candidates.find(candidate => editDistance(name.toLowerCase(), candidate.toLowerCase()) <= 2)
+  return match === undefined ? '' : ` Did you mean ${match}?`
+}
+
+/**
+ * Convert a value from the command line, the environment or the config file.
+ * Throws if the value is invalid.
+ *
+ * @param {Setting} setting
+ * @param {any} value
+ * @return {any}
+ */
+const parseValue = (setting, value) => {
+  switch (setting.type) {
+    case 'integer':
+    case 'port': {
+      const n = typeof value === 'number' ? value : (/^\d+$/.test(String(value).trim()) ? Number(value) : NaN)
+      if (!Number.isInteger(n) || n < 0 || (setting.type === 'port' && n > 65535)) {
+        throw new Error(setting.type === 'port' ? 'expected a port number (0-65535)' : 'expected a non-negative integer')
+      }
+      return n
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') {
+        return value
+      }
+      if (/^(true|1)$/i.test(String(value))) {
+        return true
+      }
+      if (/^(false|0)$/i.test(String(value))) {
+        return false
+      }
+      throw new Error('expected true or false')
+    case 'url': {
+      let url
+      try {
+        url = new URL(String(value))
+      } catch (err) {
+        throw new Error('expected a url')
+      }
+      if (setting.key === 'callbackUrl' && url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new Error('expected an http:// or https:// url')
+      }
+      return String(value)
+    }
+    case 'file':
+      if (!fs.existsSync(String(value))) {
+        throw new Error(`file "${value}" does not exist`)
+      }
+      return String(value)
+    case 'path': {
+      const prefix = String(value).replace(/\/+$/, '')
+      if (prefix !== '' && !/^\/[^?#\s]*$/.test(prefix)) {
+        throw new Error('expected a path that starts with "/"')
+      }
+      return prefix
+    }
+    case 'json': {
+      let json = value
+      if (typeof value === 'string') {
+        try {
+          json = JSON.parse(value)
+        } catch (err) {
+          throw new Error('expected JSON')
+        }
+      }
+      if (json === null || typeof json !== 'object' || Array.isArray(json)) {
+        throw new Error('expected a JSON object')
+      }
+      return json
+    }
+    default:
+      if (typeof value !== 'string' || value === '') {
+        throw new Error('expected a non-empty string')
+      }
+      return value
+  }
+}
+
+/**
+ * @param {string} file
+ * @return {Object<string,any>}
+ */
+const readConfigFile = file => {
+  const absolute = path.resolve(file)
+  let content
+  try {
+    content = /\.json$/i.test(file) ? JSON.parse(fs.readFileSync(absolute, 'utf8')) : require(absolute)
+  } catch (err) {
+    throw new Error(`Cannot read config file "${file}": ${/** @type {Error} */ (err).message}`)
+  }
+  if (content === null || typeof content !== 'object' || Array.isArray(content)) {
+    throw new Error(`Config file "${file}" must contain an object`)
+  }
+  return content
+}
+
+/**
+ * Parse the command line flags. Accepts `--flag value`, `--flag=value`, and
+ * `--flag` / `--no-flag` for boolean settings.
+ *
+ * @param {Array<string>} argv
+ * @param {Array<string>} errors
+ * @return {{ values: Map<Setting,string|boolean>, configFile: string|null, help: boolean }}
+ */
+const parseArgs = (argv, errors) => {
+  /**
+   * @type {Map<Setting,string|boolean>}
+   */
+  const values = new Map()
+  let configFile = null
+  let help = false
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    const match = /^(--[a-z0-9-]+)(?:=(.*))?$/.exec(arg)
+    if (arg === '--help' || arg === '-h') {
+      help = true
+      continue
+    }
+    if (match === null) {
+      errors.push(`Unexpected argument "${arg}"`)
+      continue
+    }
+    const flag = match[1]
+    const negated = flag.startsWith('--no-') ? settings.find(setting => setting.type === 'boolean' && toFlag(setting.key) === '--' + flag.slice(5)) : undefined
+    const setting = negated || settings.find(setting => toFlag(setting.key) === flag)
+    if (flag !== '--config' && setting === undefined) {
+      errors.push(`Unknown flag ${flag}.${didYouMean(flag, settings.map(setting => toFlag(setting.key)).concat('--config'))}`)
+      if (match[2] === undefined && i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+        // skip the value of the unknown flag
+        i++
+      }
+      continue
+    }
+    let value = match[2]
+    if (negated !== undefined) {
+      values.set(negated, false)
+      continue
+    }
+    if (value === undefined) {
+      if (setting !== undefined && setting.type === 'boolean' && (i + 1 >= argv.length || argv[i + 1].startsWith('--'))) {
+        values.set(setting, true)
+        continue
+      }
+      if (i + 1 >= argv.length) {
+        errors.push(`Missing value of ${flag}`)
+        continue
+      }
+      value = argv[++i]
+    }
+    if (setting === undefined) {
+      configFile = value
+    } else {
+      values.set(setting, value)
+    }
+  }
+  return { values, configFile, help }
+}
+
+/**
+ * Resolve the configuration from the command line flags, the environment and
+ * the config file (`--config`). Throws an error that lists every invalid or
+ * unknown setting. Returns null if `--help` was passed.
+ *
+ * @param {Array<string>} argv command line arguments without the executable and script
+ * @param {Object<string,string|undefined>} env
+ * @return {Config|null}
+ */
+exports.loadConfig = (argv, env) => {
+  /**
+   * @type {Array<string>}
+   */
+  const errors = []
+  const { values, configFile, help } = parseArgs(argv, errors)
+  if (help) {
+    return null
+  }
+  /**
+   * @type {Object<string,any>}
+   */
+  let fileValues = {}
+  if (configFile !== null) {
+    try {
+      fileValues = readConfigFile(configFile)
+    } catch (err) {
+      errors.push(/** @type {Error} */ (err).message)
+    }
+  }
+  const keys = settings.map(setting => setting.key)
+  Object.keys(fileValues).forEach(key => {
+    if (!keys.includes(key)) {
+      errors.push(`Unknown key "${key}" in config file "${configFile}".${didYouMean(key, keys)}`)
+    }
+  })
+  const envNames = settings.map(setting => setting.env)
+  Object.keys(env).forEach(name => {
+    if (reservedEnvPrefixes.some(prefix => name.startsWith(prefix)) && !envNames.includes(name)) {
+      errors.push(`Unknown environment variable ${name}.${didYouMean(name, envNames)}`)
+    }
+  })
+  /**
+   * @type {Object<string,any>}
+   */
+  const config = {}
+  settings.forEach(setting => {
+    /**
+     * @type {Array<[string, any]>}
+     */
+    const sources = [
+      [toFlag(setting.key), values.get(setting)],
+      // an empty environment variable counts as unset
+      [setting.env, env[setting.env] === '' ? undefined : env[setting.env]],
+      [`"${setting.key}" in ${configFile}`, fileValues[setting.key]]
+    ]
+    const source = sources.find(([, value]) => value !== undefined)
+    if (source === undefined) {
+      if (setting.default !== undefined) {
+        config[setting.key] = setting.default
+      }
+      return
+    }
+    try {
+      config[setting.key] = parseValue(setting, source[1])
+    } catch (err) {
+      errors.push(`Invalid value of ${source[0]}: ${/** @type {Error} */ (err).message}`)
+    }
+  })
+  if ((config.tlsCert === undefined) !== (config.tlsKey === undefined)) {
+    errors.push('--tls-cert and --tls-key must be set together')
+  }
+  if (errors.length > 0) {
+    throw new Error('Invalid configuration:\n  ' + errors.join('\n  '))
+  }
+  return /** @type {Config} */ (config)
+}
+
+/**
+ * Write the configuration to the environment variables that the server modules
+ * read when they are loaded. Variables of unset settings are removed.
+ *
+ * @param {Config} config
+ * @param {Object<string,string|undefined>} env
+ */
+exports.applyConfig = (config, env) => {
+  settings.forEach(setting => {
+    const value = /** @type {Object<string,any>} */ (config)[setting.key]
+    if (value === undefined) {
+      delete env[setting.env]
+    } else {
+      env[setting.env] = typeof value === 'object' ? JSON.stringify(value) : String(value)
+    }
+  })
+}
+
+/**
+ * @return {string} the help text of the server
+ */
+exports.usage = () => {
+  const lines = settings.map(setting => {
+    const flag = toFlag(setting.key) + (setting.type === 'boolean' ? '' : ' <' + setting.type + '>')
+    const defaultValue = setting.default === undefined || setting.default === '' ? '' : ` (default: ${setting.default})`
+    return `  ${flag.padEnd(42)}${setting.description}${defaultValue}\n  ${''.padEnd(42)}env: ${setting.env}, config: ${setting.key}`
+  })
+  return [
+    'Usage: y-websocket [options]',
+    '',
+    'Options:',
+    `  ${'--config <file>'.padEnd(42)}Read settings from a JSON or JS config file`,
+    `  ${'--help'.padEnd(42)}Show this help`,
+    ...lines,
+    '',
+    'Flags take precedence over environment variables, which take precedence over the config file.'
+  ].join('\n')
+}
@@ -0,0 +1,175 @@
+const map = require('lib0/map')
+
+/**
+ * Counters and histograms of the server, rendered in the Prometheus text
+ * format. Gauges are computed by collectors when the metrics are rendered.
+ */
+
+/**
+ * @typedef {Object<string,string>} Labels
+ */
+
+/**
+ * @typedef {Object} Counter
+ * @property {string} help
+ * @property {Map<string,number>} values by rendered labels
+ */
+
+/**
+ * @typedef {Object} Histogram
+ * @property {string} help
+ * @property {Array<number>} buckets upper bounds
+ * @property {Array<number>} counts observations per bucket (not cumulative)
+ * @property {number} sum
+ * @property {number} count
+ */
+
+/**
+ * A collector renders a metric family, e.g. the current value of a gauge.
+ *
+ * @typedef {function():string} Collector
+ */
+
+/**
+ * @type {Map<string,Counter>}
+ */
+const counters = new Map()
+
+/**
+ * @type {Map<string,Histogram>}
+ */
+const histograms = new Map()
+
+/**
+ * @type {Array<Collector>}
+ */
+const collectors = []
+
+/**
+ * @param {string} value
+ */
+const escapeLabel = value => value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')
+
+/**
+ * @param {Labels} labels
+ * @return {string}
+ */
+const renderLabels = labels => {
+  const keys = Object.keys(labels)
+  return keys.length === 0 ? '' : '{' + keys.map(key => `${key}="${escapeLabel(labels[key])}"`).join(',') + '}'
+}
+
+/**
+ * @param {string} name
+ * @param {string} help
+ * @param {string} type
+ */
+const renderHeader = (name, help, type) => `# HELP ${name} ${help}\n# TYPE ${name} ${type}\n`
+
+/**
+ * @param {string} name
+ * @param {string} help
+ */
+exports.defineCounter = (name, help) => {
+  map.setIfUndefined(counters, name, () => ({ help, values: new Map() }))
+}
+
+/**
+ * @param {string} name a counter defined with `defineCounter`
+ * @param {Labels} [labels]
+ * @param {number} [value]
+ */
+exports.inc = (name, labels = {}, value = 1) => {
+  const counter = counters.get(name)
+  if (counter !== undefined) {
+    const key = renderLabels(labels)
+    counter.values.set(key, (counter.values.get(key) || 0) + value)
+  }
+}
+
+/**
+ * @param {string} name
+ * @param {string} help
+ * @param {Array<number>} buckets upper bounds in ascending order
+ */
+exports.defineHistogram = (name, help, buckets) => {
+  map.setIfUndefined(histograms, name, () => ({ help, buckets, counts: buckets.map(() => 0), sum: 0, count: 0 }))
+}
+
+/**
+ * @param {string} name a histogram defined with `defineHistogram`
+ * @param {number} value
+ */
+exports.observe = (name, value) => {
+  const histogram = histograms.get(name)
+  if (histogram !== undefined) {
+    const i = histogram.buckets.findIndex(bound => value <= bound)
+    if (i >= 0) {
+      histogram.counts[i]++
+    }
+    histogram.sum += value
+    histogram.count++
+  }
+}
+
+/**
+ * Render a gauge with the values returned by `collect` whenever the metrics
+ * are requested.
+ *
+ * @param {string} name
+ * @param {string} help
+ * @param {function():Array<{ labels?: Labels, value: number }>} collect
+ */
+exports.defineGauge = (name, help, collect) => {
+  collectors.push(() => renderHeader(name, help, 'gauge') +
+    collect().map(({ labels = {}, value }) => `${name}${renderLabels(labels)} ${value}\n`).join(''))
+}
+
+/**
+ * @return {string} all metrics in the Prometheus text format
+ */
+const render = () => {
+  let out = ''
+  counters.forEach(({ help, values }, name) => {
+    out += renderHeader(name, help, 'counter')
+    values.forEach((value, labels) => {
+      out += `${name}${labels} ${value}\n`
+    })
+  })
+  histograms.forEach(({ help, buckets, counts, sum, count }, name) => {
+    out += renderHeader(name, help, 'histogram')
+    let cumulative = 0
+    buckets.forEach((bound, i) => {
+      cumulative += counts[i]
+      out += `${name}_bucket{le="${bound}"} ${cumulative}\n`
+    })
+    out += `${name}_bucket{le="+Inf"} ${count}\n${name}_sum ${sum}\n${name}_count ${count}\n`
+  })
+  collectors.forEach(collect => {
+    out += collect()
+  })
+  return out
+}
+
+exports.render = render
+
+/**
+ * Serve the metrics. Returns false if the request does not address `/metrics`.
+ *
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ * @return {boolean}
+ */
+exports.handleRequest = (req, res) => {
+  if (new URL(req.url || '/', 'http://localhost').pathname !== '/metrics') {
+    return false
+  }
+  if (req.method !== 'GET') {
+    res.writeHead(405, { 'Content-Type': 'text/plain' })
+    res.end('Method not allowed')
+    return true
+  }
+  res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' })
+  res.end(render())
+  return true
+}
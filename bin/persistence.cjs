@@ -0,0 +1,460 @@
+const Y = require('yjs')
+const fs = require('fs')
+const path = require('path')
+
+const encoding = require('lib0/encoding')
+const decoding = require('lib0/decoding')
+
+const metrics = require('./metrics.cjs')
+
+metrics.defineHistogram('y_websocket_persistence_write_seconds', 'Duration of writes to the persistence adapter',
+  [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10])
+
+/**
+ * A persistence adapter stores the update log of documents. `createPersistence`
+ * implements the persistence interface of ./utils.cjs on top of an adapter.
+ *
+ * The snapshot methods are optional. Snapshots are not available if they are
+ * missing.
+ *
+ * @typedef {Object} PersistenceAdapter
+ * @property {function(string):Promise<Array<Uint8Array>>} getUpdates Read all stored updates of a document
+ * @property {function(string,Uint8Array):Promise<void>} storeUpdate Append an update to the log of a document
+ * @property {function(string,Uint8Array):Promise<void>} replaceUpdates Replace the log of a document with a single (merged) update
+ * @property {function(string):Promise<void>} clearDocument Delete all data of a document, including its snapshots
+ * @property {function():Promise<void>} destroy Release all resources
+ * @property {function(string,string,Uint8Array):Promise<void>} [storeSnapshot] Store an encoded `Y.Snapshot` under a name
+ * @property {function(string,string):Promise<Uint8Array|null>} [getSnapshot] Read a snapshot by name
+ * @property {function(string):Promise<Array<string>>} [listSnapshots] List the snapshot names of a document
+ * @property {function(string,string):Promise<void>} [deleteSnapshot]
+ */
+
+/**
+ * The persistence interface used by ./utils.cjs (see `setPersistence`).
+ *
+ * @typedef {Object} Persistence
+ * @property {function(string,Y.Doc):(Promise<void>|void)} bindState Load the persisted state into the document and persist all future updates
+ * @property {function(string,Y.Doc):Promise<any>} writeState Called when the document is unloaded
+ * @property {function(string,Y.Doc):Promise<void>} [compact] Replace the update log of a document with its merged state
+ * @property {function(string):Promise<void>} [clearDocument] Delete all persisted data of a document
+ * @property {function(string,Y.Doc,string=):Promise<string>} [snapshot] Store a snapshot of the current state. Resolves to the snapshot name
+ * @property {function(string):Promise<Array<string>>} [listSnapshots]
+ * @property {function(string,Y.Doc,string):Promise<Y.Doc|null>} [restoreSnapshot] Create a document with the content at the time of the snapshot
+ * @property {any} provider
+ */
+
+/**
+ * Periodic snapshots are named `auto/<ISO date>`. Only those are subject to
+ * `maxSnapshots`.
+ */
+const autoSnapshotPrefix = 'auto/'
+
+/**
+ * @param {PersistenceAdapter} adapter
+ * @param {object} opts
+ * @param {number} [opts.compactUpdates] Compact the update log after this many updates were stored
+ * @param {number} [opts.compactBytes] Compact the update log after this many bytes were stored
+ * @param {number} [opts.snapshotInterval] Store a snapshot of changed documents every `snapshotInterval` ms (0 = disabled).
+ *        Snapshots can only be restored if garbage collection is disabled (GC=false)
+ * @param {number} [opts.maxSnapshots] Number of periodic snapshots to keep per document
+ * @return {Persistence}
+ */
+const createPersistence = (adapter, {
+  compactUpdates = 500,
+  compactBytes = 10 * 1024 * 1024,
+  snapshotInterval = 0,
+  maxSnapshots = 24
+} = {}) => {
+  /**
+   * Writes to a document are applied in order, so that a compaction never
+   * races with the updates it replaces.
+   *
+   * @type {Map<string, Promise<void>>}
+   */
+  const queues = new Map()
+  /**
+   * @param {string} docName
+   * @param {function():Promise<void>} f
+   * @return {Promise<void>}
+   */
+  const enqueue = (docName, f) => {
+    const prev = queues.get(docName) || Promise.resolve()
+    const next = prev.then(async () => {
+      const start = performance.now()
+      await f()
+      metrics.observe('y_websocket_persistence_write_seconds', (performance.now() - start) / 1000)
+    }).catch(err => {
+      console.error(`Failed to persist document "${docName}"`, err)
+    })
+    queues.set(docName, next)
+    next.then(() => {
+      if (queues.get(docName) === next) {
+        queues.delete(docName)
+      }
+    })
+    return next
+  }
+  const snapshotsSupported = adapter.storeSnapshot !== undefined && adapter.getSnapshot !== undefined &&
+    adapter.listSnapshots !== undefined && adapter.deleteSnapshot !== undefined
+  /**
+   * @param {string} docName
+   */
+  const listSnapshots = async docName => {
+    if (!snapshotsSupported) {
+      return []
+    }
+    await queues.get(docName)
+    return (await /** @type {any} */ (adapter).listSnapshots(docName)).sort()
+  }
+  /**
+   * @param {string} docName
+   * @param {Y.Doc} ydoc
+   * @param {string} [name]
+   * @return {Promise<string>}
+   */
+  const snapshot = async (docName, ydoc, name = autoSnapshotPrefix + new Date().toISOString()) => {
+    if (!snapshotsSupported) {
+      throw new Error('The persistence adapter does not support snapshots')
+    }
+    const data = Y.encodeSnapshot(Y.snapshot(ydoc))
+    await enqueue(docName, () => /** @type {any} */ (adapter).storeSnapshot(docName, name, data))
+    return name
+  }
+  /**
+   * Remove the oldest periodic snapshots
+   *
+   * @param {string} docName
+   */
+  const pruneSnapshots = async docName => {
+    const autoSnapshots = (await listSnapshots(docName)).filter(name => name.startsWith(autoSnapshotPrefix))
+    for (const name of autoSnapshots.slice(0, Math.max(0, autoSnapshots.length - maxSnapshots))) {
+      await enqueue(docName, () => /** @type {any} */ (adapter).deleteSnapshot(docName, name))
+    }
+  }
+  /**
+   * @param {string} docName
+   * @param {Y.Doc} ydoc
+   */
+  const compact = (docName, ydoc) => {
+    const update = Y.encodeStateAsUpdate(ydoc)
+    return enqueue(docName, () => adapter.replaceUpdates(docName, update))
+  }
+  return {
+    provider: adapter,
+    bindState: async (docName, ydoc) => {
+      // wait until the state of a previous instance of this document is written
+      await queues.get(docName)
+      const updates = await adapter.getUpdates(docName)
+      // size of the stored update log
+      let storedUpdates = updates.length
+      let storedBytes = updates.reduce((size, update) => size + update.byteLength, 0)
+      /**
+       * @param {Uint8Array} update
+       */
+      const storeUpdate = update => {
+        enqueue(docName, () => adapter.storeUpdate(docName, update))
+        storedUpdates++
+        storedBytes += update.byteLength
+        if (storedUpdates >= compactUpdates || storedBytes >= compactBytes) {
+          storedUpdates = 1
+          storedBytes = 0
+          compact(docName, ydoc)
+        }
+      }
+      if (ydoc.store.clients.size > 0) {
+        // persist content that was created before the document was loaded
+        storeUpdate(Y.encodeStateAsUpdate(ydoc))
+      }
+      if (updates.length > 0) {
+        Y.applyUpdate(ydoc, Y.mergeUpdates(updates))
+      }
+      ydoc.on('update', storeUpdate)
+      if (snapshotInterval > 0 && snapshotsSupported) {
+        if (ydoc.gc) {
+          console.warn(`Not creating snapshots of "${docName}" because garbage collection is enabled (set GC=false)`)
+          return
+        }
+        const autoSnapshots = (await listSnapshots(docName)).filter(name => name.startsWith(autoSnapshotPrefix))
+        let lastSnapshot = autoSnapshots.length > 0 ? Date.parse(autoSnapshots[autoSnapshots.length - 1].slice(autoSnapshotPrefix.length)) : 0
+        let changed = false
+        ydoc.on('update', () => { changed = true })
+        const interval = setInterval(() => {
+          if (changed && Date.now() - lastSnapshot >= snapshotInterval) {
+            changed = false
+            lastSnapshot = Date.now()
+            snapshot(docName, ydoc).then(() => pruneSnapshots(docName))
+          }
+        }, Math.min(snapshotInterval, 60000))
+        interval.unref()
+        ydoc.on('destroy', () => { clearInterval(interval) })
+      }
+    },
+    writeState: (docName, ydoc) => compact(docName, ydoc),
+    compact,
+    clearDocument: docName => enqueue(docName, () => adapter.clearDocument(docName)),
+    snapshot,
+    listSnapshots,
+    restoreSnapshot: async (docName, ydoc, name) => {
+      if (!snapshotsSupported) {
+        return null
+      }
+      await queues.get(docName)
+      const data = await /** @type {any} */ (adapter).getSnapshot(docName, name)
+      return data === null ? null : Y.createDocFromSnapshot(ydoc, Y.decodeSnapshot(data))
+    }
+  }
+}
+
+exports.createPersistence = createPersistence
+
+const snapshotMetaPrefix = 'snapshot:'
+
+/**
+ * Store documents in a LevelDB database using y-leveldb. Snapshots are stored
+ * as document meta data.
+ *
+ * @param {string} dir
+ * @return {PersistenceAdapter}
+ */
+const createLeveldbAdapter = dir => {
+  // @ts-ignore
+  const LeveldbPersistence = require('y-leveldb').LeveldbPersistence
+  const ldb = new LeveldbPersistence(dir)
+  return {
+    getUpdates: async docName => [Y.encodeStateAsUpdate(await ldb.getYDoc(docName))],
+    storeUpdate: async (docName, update) => {
+      await ldb.storeUpdate(docName, update)
+    },
+    replaceUpdates: async (docName, update) => {
+      // clearDocument would also delete the metas (snapshots). flushDocument
+      // stores the merged update before it deletes the older updates.
+      await ldb.storeUpdate(docName, update)
+      await ldb.flushDocument(docName)
+    },
+    clearDocument: async docName => {
+      await ldb.clearDocument(docName)
+      for (const key of (await ldb.getMetas(docName)).keys()) {
+        await ldb.delMeta(docName, key)
+      }
+    },
+    destroy: () => ldb.destroy(),
+    storeSnapshot: (docName, name, snapshot) => ldb.setMeta(docName, snapshotMetaPrefix + name, snapshot),
+    getSnapshot: async (docName, name) => {
+      const snapshot = await ldb.getMeta(docName, snapshotMetaPrefix + name)
+      return snapshot === undefined ? null : snapshot
+    },
+    listSnapshots: async docName => Array.from((await ldb.getMetas(docName)).keys())
+      .filter(key => key.startsWith(snapshotMetaPrefix))
+      .map(key => key.slice(snapshotMetaPrefix.length)),
+    deleteSnapshot: (docName, name) => ldb.delMeta(docName, snapshotMetaPrefix + name)
+  }
+}
+
+exports.createLeveldbAdapter = createLeveldbAdapter
+
+/**
+ * Store every document as an append-only log file in `dir`. Each entry of the
+ * log is a length-prefixed update. Snapshots are stored in a directory next to
+ * the log.
+ *
+ * @param {string} dir
+ * @return {PersistenceAdapter}
+ */
+const createFilesystemAdapter = dir => {
+  fs.mkdirSync(dir, { recursive: true })
+  /**
+   * @param {string} docName
+   */
+  const docPath = docName => path.join(dir, encodeURIComponent(docName) + '.ylog')
+  /**
+   * @param {string} docName
+   */
+  const snapshotDir = docName => path.join(dir, encodeURIComponent(docName) + '.snapshots')
+  /**
+   * @param {string} docName
+   * @param {string} name
+   */
+  const snapshotPath = (docName, name) => path.join(snapshotDir(docName), encodeURIComponent(name))
+  /**
+   * @param {Uint8Array} update
+   */
+  const encodeEntry = update => {
+    const encoder = encoding.createEncoder()
+    encoding.writeVarUint8Array(encoder, update)
+    return encoding.toUint8Array(encoder)
+  }
+  return {
+    getUpdates: async docName => {
+      let content
+      try {
+        content = new Uint8Array(await fs.promises.readFile(docPath(docName)))
+      } catch (err) {
+        if (/** @type {any} */ (err).code === 'ENOENT') {
+          return []
+        }
+        throw err
+      }
+      const decoder = decoding.createDecoder(content)
+      const updates = []
+      try {
+        while (decoding.hasContent(decoder)) {
+          updates.push(decoding.readVarUint8Array(decoder))
+        }
+      } catch (err) {
+        // the last entry was not written completely
+        console.warn(`Ignoring truncated entry in "${docPath(docName)}"`)
+      }
+      return updates
+    },
+    storeUpdate: (docName, update) => fs.promises.appendFile(docPath(docName), encodeEntry(update)),
+    replaceUpdates: async (docName, update) => {
+      const tmpPath = docPath(docName) + '.tmp'
+      await fs.promises.writeFile(tmpPath, encodeEntry(update))
+      await fs.promises.rename(tmpPath, docPath(docName))
+    },
+    clearDocument: async docName => {
+      await fs.promises.rm(docPath(docName), { force: true })
+      await fs.promises.rm(snapshotDir(docName), { force: true, recursive: true })
+    },
+    destroy: async () => {},
+    storeSnapshot: async (docName, name, snapshot) => {
+      await fs.promises.mkdir(snapshotDir(docName), { recursive: true })
+      await fs.promises.writeFile(snapshotPath(docName, name), snapshot)
+    },
+    getSnapshot: async (docName, name) => {
+      try {
+        return new Uint8Array(await fs.promises.readFile(snapshotPath(docName, name)))
+      } catch (err) {
+        if (/** @type {any} */ (err).code === 'ENOENT') {
+          return null
+        }
+        throw err
+      }
+    },
+    listSnapshots: async docName => {
+      try {
+        return (await fs.promises.readdir(snapshotDir(docName))).map(decodeURIComponent)
+      } catch (err) {
+        if (/** @type {any} */ (err).code === 'ENOENT') {
+          return []
+        }
+        throw err
+      }
+    },
+    deleteSnapshot: async (docName, name) => {
+      await fs.promises.rm(snapshotPath(docName, name), { force: true })
+    }
+  }
+}
+
+exports.createFilesystemAdapter = createFilesystemAdapter
+
+/**
+ * Open a database with the sqlite module that ships with node (>= 22.5) or
+ * with better-sqlite3. Both implement the same synchronous api.
+ *
+ * @param {string} file
+ * @return {any}
+ */
+const openSqlite = file => {
+  try {
+    // @ts-ignore
+    const { DatabaseSync } = require('node:sqlite')
+    return new DatabaseSync(file)
+  } catch (err) {}
+  try {
+    // @ts-ignore
+    const Database = require('better-sqlite3')
+    return new Database(file)
+  } catch (err) {
+    throw new Error('The sqlite persistence adapter requires node >= 22.5 or the "better-sqlite3" package')
+  }
+}
+
+/**
+ * Store documents in a single SQLite database file.
+ *
+ * @param {string} file
+ * @return {PersistenceAdapter}
+ */
+const createSqliteAdapter = file => {
+  const db = openSqlite(file)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS updates (id INTEGER PRIMARY KEY AUTOINCREMENT, doc TEXT NOT NULL, data BLOB NOT NULL);
+    CREATE INDEX IF NOT EXISTS updates_doc ON updates (doc, id);
+    CREATE TABLE IF NOT EXISTS snapshots (doc TEXT NOT NULL, name TEXT NOT NULL, data BLOB NOT NULL, PRIMARY KEY (doc, name));
+  `)
+  const selectUpdates = db.prepare('SELECT data FROM updates WHERE doc = ? ORDER BY id')
+  const insertUpdate = db.prepare('INSERT INTO updates (doc, data) VALUES (?, ?)')
+  const deleteUpdates = db.prepare('DELETE FROM updates WHERE doc = ?')
+  const insertSnapshot = db.prepare('INSERT OR REPLACE INTO snapshots (doc, name, data) VALUES (?, ?, ?)')
+  const selectSnapshot = db.prepare('SELECT data FROM snapshots WHERE doc = ? AND name = ?')
+  const selectSnapshotNames = db.prepare('SELECT name FROM snapshots WHERE doc = ?')
+  const deleteSnapshot = db.prepare('DELETE FROM snapshots WHERE doc = ? AND name = ?')
+  const deleteSnapshots = db.prepare('DELETE FROM snapshots WHERE doc = ?')
+  /**
+   * @param {Uint8Array} update
+   */
+  const toBlob = update => Buffer.from(update.buffer, update.byteOffset, update.byteLength)
+  return {
+    getUpdates: async docName => selectUpdates.all(docName).map(/** @param {any} row */ row => new Uint8Array(row.data)),
+    storeUpdate: async (docName, update) => {
+      insertUpdate.run(docName, toBlob(update))
+    },
+    replaceUpdates: async (docName, update) => {
+      db.exec('BEGIN')
+      try {
+        deleteUpdates.run(docName)
+        insertUpdate.run(docName, toBlob(update))
+        db.exec('COMMIT')
+      } catch (err) {
+        db.exec('ROLLBACK')
+        throw err
+      }
+    },
+    clearDocument: async docName => {
+      deleteUpdates.run(docName)
+      deleteSnapshots.run(docName)
+    },
+    destroy: async () => {
+      db.close()
+    },
+    storeSnapshot: async (docName, name, snapshot) => {
+      insertSnapshot.run(docName, name, toBlob(snapshot))
+    },
+    getSnapshot: async (docName, name) => {
+      const row = selectSnapshot.get(docName, name)
+      return row ? new Uint8Array(row.data) : null
+    },
+    listSnapshots: async docName => selectSnapshotNames.all(docName).map(/** @param {any} row */ row => row.name),
+    deleteSnapshot: async (docName, name) => {
+      deleteSnapshot.run(docName, name)
+    }
+  }
+}
+
+exports.createSqliteAdapter = createSqliteAdapter
+
+/**
+ * @type {Object<string, function(string):PersistenceAdapter>}
+ */
+const adapters = {
+  leveldb: createLeveldbAdapter,
+  fs: createFilesystemAdapter,
+  sqlite: createSqliteAdapter
+}
+
+/**
+ * Create one of the bundled adapters by name ("leveldb", "fs" or "sqlite").
+ *
+ * @param {string} name
+ * @param {string} location directory (leveldb, fs) or database file (sqlite)
+ * @return {PersistenceAdapter}
+ */
+exports.createAdapter = (name, location) => {
+  const create = adapters[name]
+  if (create === undefined) {
+    throw new Error(`Unknown persistence adapter "${name}". Expected one of: ${Object.keys(adapters).join(', ')}`)
+  }
+  return create(location)
+}
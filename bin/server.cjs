@@ -1,31 +1,147 @@
 #!/usr/bin/env node
 
-const WebSocket = require('ws')
+const fs = require('fs')
 const http = require('http')
-const number = require('lib0/number')
-const wss = new WebSocket.Server({ noServer: true })
-const setupWSConnection = require('./utils.cjs').setupWSConnection
+const https = require('https')
+const { loadConfig, applyConfig, usage } = require('./config.cjs')
+
+/**
+ * @type {import('./config.cjs').Config|null}
+ */
+let config = null
+try {
+  config = loadConfig(process.argv.slice(2), process.env)
+} catch (err) {
+  console.error(/** @type {Error} */ (err).message)
+  console.error('Run y-websocket --help to list all settings.')
+  process.exit(1)
+}
+if (config === null) {
+  console.log(usage())
+  process.exit(0)
+}
+// the server modules read their settings from the environment when they are loaded
+applyConfig(config, process.env)
+
+const WebSocket = require('ws')
+// compress messages larger than 1kb if the client supports it. ws closes
+// connections that send messages larger than maxPayload before buffering them.
+const wss = new WebSocket.Server({ noServer: true, perMessageDeflate: config.perMessageDeflate && { threshold: 1024 }, maxPayload: config.maxMessageSize || undefined })
+const utils = require('./utils.cjs')
+const api = require('./api.cjs')
+const metrics = require('./metrics.cjs')
+
+const { host, port, pathPrefix, pingTimeout, shutdownTimeout } = config
+let shuttingDown = false
 
-const host = process.env.HOST || 'localhost'
-const port = number.parseInt(process.env.PORT || '1234')
+/**
+ * Remove the path prefix from the url of the request. Returns false if the
+ * request doesn't address a path below the prefix.
+ *
+ * @param {http.IncomingMessage} request
+ * @return {boolean}
+ */
+const stripPathPrefix = request => {
+  const url = request.url || '/'
+  if (pathPrefix === '') {
+    return true
+  }
+  if (!url.startsWith(pathPrefix) || !/^($|[/?])/.test(url.slice(pathPrefix.length))) {
+    return false
+  }
+  request.url = url.slice(pathPrefix.length)
+  if (!request.url.startsWith('/')) {
+    request.url = '/' + request.url
+  }
+  return true
+}
 
-const server = http.createServer((_request, response) => {
+/**
+ * @param {http.IncomingMessage} request
+ * @param {http.ServerResponse} response
+ */
+const handleRequest = (request, response) => {
+  if (!stripPathPrefix(request)) {
+    response.writeHead(404, { 'Content-Type': 'text/plain' })
+    response.end('Not found')
+    return
+  }
+  if (api.handleRequest(request, response) || metrics.handleRequest(request, response)) {
+    return
+  }
   response.writeHead(200, { 'Content-Type': 'text/plain' })
   response.end('okay')
-})
+}
+
+const server = config.tlsCert !== undefined && config.tlsKey !== undefined
+  ? https.createServer({ cert: fs.readFileSync(config.tlsCert), key: fs.readFileSync(config.tlsKey) }, handleRequest)
+  : http.createServer(handleRequest)
 
-wss.on('connection', setupWSConnection)
+wss.on('connection', utils.setupWSConnection)
 
 server.on('upgrade', (request, socket, head) => {
-  // You may check auth of request here..
-  // Call `wss.HandleUpgrade` *after* you checked whether the client has access
-  // (e.g. by checking cookies, or url parameters).
+  if (shuttingDown) {
+    socket.write('HTTP/1.1 503 Service Unavailable\r\n\r\n')
+    socket.destroy()
+    return
+  }
+  if (!stripPathPrefix(request)) {
+    socket.write('HTTP/1.1 404 Not Found\r\n\r\n')
+    socket.destroy()
+    return
+  }
+  // Call `wss.HandleUpgrade` *after* we checked whether the client has access
+  // (see `setAuthorizer` in ./utils.cjs).
   // See https://github.com/websockets/ws#client-authentication
-  wss.handleUpgrade(request, socket, head, /** @param {any} ws */ ws => {
-    wss.emit('connection', ws, request)
+  const docName = utils.getDocName(request)
+  utils.authorize(request, docName).then(auth => {
+    if (auth === null) {
+      // Browsers don't expose the status of a failed upgrade, so we accept the
+      // connection, tell the provider that permission was denied and close it
+      // with a code the provider can react to.
+      wss.handleUpgrade(request, socket, head, /** @param {any} ws */ ws => {
+        utils.rejectConnection(ws, docName)
+      })
+      return
+    }
+    wss.handleUpgrade(request, socket, head, /** @param {any} ws */ ws => {
+      wss.emit('connection', ws, request, { docName, auth, pingTimeout })
+    })
+  }, err => {
+    console.error(err)
+    socket.write('HTTP/1.1 500 Internal Server Error\r\n\r\n')
+    socket.destroy()
   })
 })
 
 server.listen(port, host, () => {
-  console.log(`running at '${host}' on port ${port}`)
+  console.log(`running at '${host}' on port ${port}${server instanceof https.Server ? ' (tls)' : ''}`)
 })
+
+/**
+ * @param {string} signal
+ */
+const shutdown = signal => {
+  if (shuttingDown) {
+    console.warn(`Received ${signal} again, exiting without storing all documents`)
+    process.exit(1)
+  }
+  shuttingDown = true
+  console.log(`Received ${signal}, shutting down`)
+  // stop accepting connections
+  server.close()
+  setTimeout(() => {
+    console.error(`Not all documents were stored within ${shutdownTimeout}ms`)
+    process.exit(1)
+  }, shutdownTimeout).unref()
+  utils.shutdown().then(() => {
+    console.log('All documents stored')
+    process.exit(0)
+  }, err => {
+    console.error(err)
+    process.exit(1)
+  })
+}
+
+process.on('SIGTERM', shutdown)
+process.on('SIGINT', shutdown)
@@ -1,18 +1,43 @@
 const Y = require('yjs')
 const syncProtocol = require('y-protocols/sync')
 const awarenessProtocol = require('y-protocols/awareness')
+const authProtocol = require('y-protocols/auth')
 
 const encoding = require('lib0/encoding')
 const decoding = require('lib0/decoding')
 const map = require('lib0/map')
+const { Observable } = require('lib0/observable')
 
 const debounce = require('lodash.debounce')
 
 const callbackHandler = require('./callback.cjs').callbackHandler
+const bindCallback = require('./callback.cjs').bindCallback
+const resetCallback = require('./callback.cjs').resetCallback
+const { createPersistence, createAdapter } = require('./persistence.cjs')
+const { bindBackplane, createRedisBackplane } = require('./backplane.cjs')
+const metrics = require('./metrics.cjs')
 const isCallbackSet = require('./callback.cjs').isCallbackSet
 
 const CALLBACK_DEBOUNCE_WAIT = parseInt(process.env.CALLBACK_DEBOUNCE_WAIT || '2000')
 const CALLBACK_DEBOUNCE_MAXWAIT = parseInt(process.env.CALLBACK_DEBOUNCE_MAXWAIT || '10000')
+// sub documents without connections are unloaded after this many milliseconds
+const SUBDOC_IDLE_TIMEOUT = parseInt(process.env.SUBDOC_IDLE_TIMEOUT || '30000')
+// merge the updates of a document that arrive within this many milliseconds
+// into a single message to every connection. Disabled if 0
+const BROADCAST_BATCH_INTERVAL = parseInt(process.env.BROADCAST_BATCH_INTERVAL || '0')
+// broadcast the awareness changes of this many milliseconds together. Disabled if 0
+const AWARENESS_THROTTLE = parseInt(process.env.AWARENESS_THROTTLE || '0')
+// quotas. Disabled if 0
+const MAX_MESSAGE_SIZE = parseInt(process.env.MAX_MESSAGE_SIZE || '0')
+const MAX_MESSAGES_PER_SECOND = parseInt(process.env.MAX_MESSAGES_PER_SECOND || '0')
+const MAX_BYTES_PER_SECOND = parseInt(process.env.MAX_BYTES_PER_SECOND || '0')
+const MAX_DOCUMENT_SIZE = parseInt(process.env.MAX_DOCUMENT_SIZE || '0')
+const MAX_SUBDOCS_PER_ROOM = parseInt(process.env.MAX_SUBDOCS_PER_ROOM || '0')
+const MAX_CONNECTIONS_PER_ROOM = parseInt(process.env.MAX_CONNECTIONS_PER_ROOM || '0')
+
+/**
+ * @typedef {import('./persistence.cjs').Persistence} Persistence
+ */
 
 const wsReadyStateConnecting = 0
 const wsReadyStateOpen = 1
@@ -22,44 +47,112 @@ const wsReadyStateClosed = 3 // eslint-disable-line
 // disable gc when using snapshots!
 const gcEnabled = process.env.GC !== 'false' && process.env.GC !== '0'
 const persistenceDir = process.env.YPERSISTENCE
+const persistenceAdapter = process.env.YPERSISTENCE_ADAPTER || 'leveldb'
 /**
- * @type {{bindState: function(string,WSSharedDoc):void, writeState:function(string,WSSharedDoc):Promise<any>, provider: any}|null}
+ * @type {Persistence|null}
  */
 let persistence = null
 if (typeof persistenceDir === 'string') {
-  console.info('Persisting documents to "' + persistenceDir + '"')
-  // @ts-ignore
-  const LeveldbPersistence = require('y-leveldb').LeveldbPersistence
-  const ldb = new LeveldbPersistence(persistenceDir)
-  persistence = {
-    provider: ldb,
-    bindState: async (docName, ydoc) => {
-      const persistedYdoc = await ldb.getYDoc(docName)
-      const newUpdates = Y.encodeStateAsUpdate(ydoc)
-      ldb.storeUpdate(docName, newUpdates)
-      Y.applyUpdate(ydoc, Y.encodeStateAsUpdate(persistedYdoc))
-      ydoc.on('update', update => {
-        ldb.storeUpdate(docName, update)
-      })
-    },
-    writeState: async (_docName, _ydoc) => {}
-  }
+  console.info(`Persisting documents to "${persistenceDir}" (${persistenceAdapter})`)
+  persistence = createPersistence(createAdapter(persistenceAdapter, persistenceDir), {
+    compactUpdates: parseInt(process.env.YPERSISTENCE_COMPACT_UPDATES || '500'),
+    compactBytes: parseInt(process.env.YPERSISTENCE_COMPACT_BYTES || '10485760'),
+    snapshotInterval: parseInt(process.env.YPERSISTENCE_SNAPSHOT_INTERVAL || '0'),
+    maxSnapshots: parseInt(process.env.YPERSISTENCE_MAX_SNAPSHOTS || '24')
+  })
 }
 
 /**
- * @param {{bindState: function(string,WSSharedDoc):void,
- * writeState:function(string,WSSharedDoc):Promise<any>,provider:any}|null} persistence_
+ * @param {Persistence|null} persistence_
  */
 exports.setPersistence = persistence_ => {
   persistence = persistence_
 }
 
 /**
- * @return {null|{bindState: function(string,WSSharedDoc):void,
-  * writeState:function(string,WSSharedDoc):Promise<any>}|null} used persistence layer
-  */
+ * @return {Persistence|null} used persistence layer
+ */
 exports.getPersistence = () => persistence
 
+/**
+ * @type {import('./backplane.cjs').Backplane|null}
+ */
+let backplane = null
+if (typeof process.env.YBACKPLANE === 'string') {
+  console.info(`Relaying documents over redis "${process.env.YBACKPLANE}"`)
+  backplane = createRedisBackplane(process.env.YBACKPLANE)
+}
+
+/**
+ * Relay updates and awareness of all documents that are created from now on to
+ * other server processes.
+ *
+ * @param {import('./backplane.cjs').Backplane|null} backplane_
+ */
+exports.setBackplane = backplane_ => {
+  backplane = backplane_
+}
+
+/**
+ * @return {import('./backplane.cjs').Backplane|null}
+ */
+exports.getBackplane = () => backplane
+
+/**
+ * Describes the request that caused a server event.
+ *
+ * @typedef {Object} RequestContext
+ * @property {string} docName name of the requested document
+ * @property {import('http').IncomingHttpHeaders} headers
+ * @property {import('http').IncomingMessage} [req]
+ * @property {any} [user] the `user` returned by the authorizer
+ */
+
+/**
+ * Lifecycle events of the server. Listeners are called with:
+ *
+ * - `doc-created` (doc, context): a document was created in memory
+ * - `connection-joined` (doc, conn, context): a connection started syncing a document or sub document
+ * - `connection-left` (doc, conn, context): a connection stopped syncing a document or sub document
+ * - `awareness-change` (doc, { added, updated, removed }, context): the awareness of a document changed. `context` is null if the change was not caused by a connection
+ * - `doc-persisted` (doc, context): the document was stored before it was unloaded
+ * - `doc-destroyed` (doc, context): the document was unloaded
+ *
+ * `context` is the RequestContext of the connection or api request that caused the event, or null.
+ *
+ * @type {Observable<string>}
+ */
+const events = new Observable()
+exports.events = events
+
+/**
+ * Listeners must not break the server, so their errors are only logged.
+ *
+ * @param {string} name
+ * @param {Array<any>} args
+ */
+const emitEvent = (name, args) => {
+  try {
+    events.emit(name, args)
+  } catch (err) {
+    console.error(`Error in "${name}" listener`, err)
+  }
+}
+
+/**
+ * @param {import('http').IncomingMessage} req
+ * @param {string} docName
+ * @param {AuthResult} [auth]
+ * @return {RequestContext}
+ */
+const createRequestContext = (req, docName, auth = {}) => ({ docName, headers: req.headers, req, user: auth.user })
+exports.createRequestContext = createRequestContext
+
+/**
+ * @type {WeakMap<any, RequestContext>}
+ */
+const connContexts = new WeakMap()
+
 /**
  * @type {Map<string,WSSharedDoc>}
  */
@@ -69,7 +162,118 @@ exports.docs = docs
 
 const messageSync = 0
 const messageAwareness = 1
-// const messageAuth = 2
+const messageAuth = 2
+// application level heartbeat of clients that can't send websocket pings (browsers)
+const messagePing = 4
+const messagePong = 5
+// [messageUnsubscribe][docGuid] the client stopped syncing the sub document
+const messageUnsubscribe = 6
+// [messageHandshake][docGuid][protocolVersion][capabilities] the client tells its protocol version and
+// capabilities. It is answered with the handshake of the server
+const messageHandshake = 7
+// [messageUpdateRejected][docGuid][reason] the update validator rejected an update of the client
+const messageUpdateRejected = 8
+
+/**
+ * Version of the wire format. Version 1 writes the guid of the addressed
+ * document after the message type. Upstream y-websocket (version 0) doesn't.
+ */
+const protocolVersion = 1
+exports.protocolVersion = protocolVersion
+
+/**
+ * Features of the protocol that the server supports. `compression` is added
+ * if the connection negotiated permessage-deflate.
+ */
+const protocolCapabilities = ['subdocs', 'auth', 'ping', 'unsubscribe']
+
+/**
+ * Close code for connections whose credentials were rejected. The provider
+ * refreshes its url parameters before reconnecting when it receives this code.
+ */
+const closeCodeUnauthorized = 4401
+exports.closeCodeUnauthorized = closeCodeUnauthorized
+
+/**
+ * Close code for connections that are closed because the server shuts down.
+ * The provider reconnects after a short delay.
+ */
+const closeCodeGoingAway = 1001
+exports.closeCodeGoingAway = closeCodeGoingAway
+
+/**
+ * Close code for connections that use a protocol version the server doesn't
+ * support. The provider doesn't reconnect when it receives this code.
+ */
+const closeCodeProtocolMismatch = 4426
+exports.closeCodeProtocolMismatch = closeCodeProtocolMismatch
+
+/**
+ * Close code for connections whose update was rejected by the update
+ * validator with `close: true`. The provider doesn't reconnect.
+ */
+const closeCodeUpdateRejected = 4422
+exports.closeCodeUpdateRejected = closeCodeUpdateRejected
+
+/**
+ * Close codes for connections that exceeded a quota. The provider reconnects
+ * after a long delay.
+ */
+const closeCodeDocumentTooLarge = 4413
+exports.closeCodeDocumentTooLarge = closeCodeDocumentTooLarge
+const closeCodeMessageTooBig = 1009
+exports.closeCodeMessageTooBig = closeCodeMessageTooBig
+const closeCodeRateLimited = 4429
+exports.closeCodeRateLimited = closeCodeRateLimited
+const closeCodeRoomFull = 4503
+exports.closeCodeRoomFull = closeCodeRoomFull
+const closeCodeTooManySubdocs = 4507
+exports.closeCodeTooManySubdocs = closeCodeTooManySubdocs
+
+/**
+ * While shutting down, documents are stored by `shutdown` instead of being
+ * unloaded, and messages are ignored.
+ */
+let shuttingDown = false
+
+metrics.defineCounter('y_websocket_messages_received_total', 'Messages received from clients by type')
+metrics.defineCounter('y_websocket_message_bytes_received_total', 'Bytes received from clients by message type')
+metrics.defineCounter('y_websocket_send_failures_total', 'Messages that could not be sent to a client')
+metrics.defineCounter('y_websocket_connections_closed_total', 'Closed websocket connections')
+metrics.defineCounter('y_websocket_updates_rejected_total', 'Updates rejected by the update validator')
+metrics.defineCounter('y_websocket_quota_exceeded_total', 'Connections closed because they exceeded a quota, by quota')
+let openConnections = 0
+metrics.defineGauge('y_websocket_connections', 'Open websocket connections', () => [{ value: openConnections }])
+metrics.defineGauge('y_websocket_docs_loaded', 'Documents and sub documents in memory', () => [{ value: docs.size }])
+metrics.defineGauge('y_websocket_subdocs', 'Sub documents that clients subscribed to, by room', () =>
+  Array.from(subdocsMap.entries()).map(([room, subdocs]) => ({ labels: { room }, value: subdocs.size })))
+
+/**
+ * @param {Uint8Array} message
+ * @return {string} the message type used as metrics label
+ */
+const getMessageTypeName = message => {
+  try {
+    const decoder = decoding.createDecoder(message)
+    switch (decoding.readVarUint(decoder)) {
+      case messageSync:
+        decoding.readVarString(decoder)
+        switch (decoding.readVarUint(decoder)) {
+          case syncProtocol.messageYjsSyncStep1: return 'sync_step1'
+          case syncProtocol.messageYjsSyncStep2: return 'sync_step2'
+          case syncProtocol.messageYjsUpdate: return 'sync_update'
+          default: return 'unknown'
+        }
+      case messageAwareness: return 'awareness'
+      case messagePing: return 'ping'
+      case messageUnsubscribe: return 'unsubscribe'
+      case messageHandshake: return 'handshake'
+      default: return 'unknown'
+    }
+  } catch (err) {
+    return 'malformed'
+  }
+}
 
 /**
  * @param {Uint8Array} update
@@ -78,6 +282,26 @@ const messageAwareness = 1
  * @param {any} _tr
  */
 const updateHandler = (update, _origin, doc, _tr) => {
+  if (BROADCAST_BATCH_INTERVAL <= 0) {
+    broadcastUpdate(doc, update)
+    return
+  }
+  doc.batchedUpdates.push(update)
+  if (doc.batchTimeout === null) {
+    doc.batchTimeout = setTimeout(() => {
+      const updates = doc.batchedUpdates
+      doc.batchedUpdates = []
+      doc.batchTimeout = null
+      broadcastUpdate(doc, updates.length === 1 ? updates[0] : Y.mergeUpdates(updates))
+    }, BROADCAST_BATCH_INTERVAL)
+  }
+}
+
+/**
+ * @param {WSSharedDoc} doc
+ * @param {Uint8Array} update
+ */
+const broadcastUpdate = (doc, update) => {
   const encoder = encoding.createEncoder()
   encoding.writeVarUint(encoder, messageSync)
   encoding.writeVarString(encoder, doc.name)
@@ -118,6 +342,29 @@ class WSSharedDoc extends Y.Doc {
      */
     this.awareness = new awarenessProtocol.Awareness(this)
     this.awareness.setLocalState(null)
+    /**
+     * Clients whose awareness changed since the last throttled broadcast
+     * @type {Set<number>}
+     */
+    this.throttledAwarenessClients = new Set()
+    /**
+     * @type {ReturnType<typeof setTimeout>|null}
+     */
+    this.awarenessTimeout = null
+    /**
+     * Updates that are broadcast together when `batchTimeout` fires
+     * @type {Array<Uint8Array>}
+     */
+    this.batchedUpdates = []
+    /**
+     * @type {ReturnType<typeof setTimeout>|null}
+     */
+    this.batchTimeout = null
+    /**
+     * Upper bound of the encoded size of the document, -1 if not measured yet.
+     * See `exceedsMaxDocumentSize`
+     */
+    this.sizeEstimate = -1
     /**
      * @param {{ added: Array<number>, updated: Array<number>, removed: Array<number> }} changes
      * @param {Object | null} conn Origin is the connection that made the change
@@ -131,23 +378,41 @@ class WSSharedDoc extends Y.Doc {
           removed.forEach(clientID => { connControlledIDs.delete(clientID) })
         }
       }
-      // broadcast awareness update
-      const encoder = encoding.createEncoder()
-      encoding.writeVarUint(encoder, messageAwareness)
-      encoding.writeVarUint8Array(encoder, awarenessProtocol.encodeAwarenessUpdate(this.awareness, changedClients))
-      const buff = encoding.toUint8Array(encoder)
-      this.conns.forEach((_, c) => {
-        send(this, c, buff)
-      })
+      emitEvent('awareness-change', [this, { added, updated, removed }, (conn !== null && connContexts.get(conn)) || null])
+      // broadcast awareness update to the connections subscribed to this doc
+      if (AWARENESS_THROTTLE <= 0) {
+        broadcastAwareness(this, changedClients)
+        return
+      }
+      changedClients.forEach(clientID => { this.throttledAwarenessClients.add(clientID) })
+      if (this.awarenessTimeout === null) {
+        this.awarenessTimeout = setTimeout(() => {
+          const clients = Array.from(this.throttledAwarenessClients)
+          this.throttledAwarenessClients.clear()
+          this.awarenessTimeout = null
+          broadcastAwareness(this, clients)
+        }, AWARENESS_THROTTLE)
+      }
     }
     this.awareness.on('update', awarenessChangeHandler)
     this.on('update', /** @type {any} */ (updateHandler))
+    this.on('destroy', () => {
+      // nobody is left to receive the pending broadcasts
+      clearTimeout(/** @type {any} */ (this.batchTimeout))
+      clearTimeout(/** @type {any} */ (this.awarenessTimeout))
+      this.batchTimeout = null
+      this.awarenessTimeout = null
+      this.batchedUpdates = []
+      this.throttledAwarenessClients.clear()
+    })
     if (isCallbackSet) {
-      this.on('update', /** @type {any} */ (debounce(
+      const debouncedCallbackHandler = debounce(
         callbackHandler,
         CALLBACK_DEBOUNCE_WAIT,
         { maxWait: CALLBACK_DEBOUNCE_MAXWAIT }
-      )))
+      )
+      bindCallback(this, debouncedCallbackHandler)
+      this.on('update', /** @type {any} */ (debouncedCallbackHandler))
     }
     this.whenInitialized = contentInitializor(this)
   }
@@ -160,20 +425,259 @@ exports.WSSharedDoc = WSSharedDoc
  *
  * @param {string} docname - the name of the Y.Doc to find or create
  * @param {boolean} gc - whether to allow gc on the doc (applies only when created)
+ * @param {RequestContext|null} [context] - the request that asks for the document
  * @return {WSSharedDoc}
  */
-const getYDoc = (docname, gc = true) => map.setIfUndefined(docs, docname, () => {
+const getYDoc = (docname, gc = gcEnabled, context = null) => map.setIfUndefined(docs, docname, () => {
   const doc = new WSSharedDoc(docname)
   doc.gc = gc
   if (persistence !== null) {
-    persistence.bindState(docname, doc)
+    const bound = persistence.bindState(docname, doc)
+    doc.whenInitialized = Promise.all([doc.whenInitialized, bound]).then(() => {})
+  }
+  if (isCallbackSet) {
+    // callbacks report changes since the document was loaded
+    doc.whenInitialized = doc.whenInitialized.then(() => { resetCallback(doc) })
+  }
+  if (backplane !== null) {
+    // unsubscribes when the document is destroyed
+    bindBackplane(backplane, doc)
   }
   docs.set(docname, doc)
+  emitEvent('doc-created', [doc, context])
   return doc
 })
 
 exports.getYDoc = getYDoc
 
+/**
+ * @typedef {Object} AuthResult
+ * @property {boolean} [readOnly] Drop document updates sent by this connection
+ * @property {boolean} [readOnlyAwareness] Whether a read-only connection may still send awareness updates (defaults to true)
+ * @property {function(string):boolean} [canAccessSubdoc] Decides whether the connection may sync the sub document with the given guid
+ * @property {any} [user] Passed to the server events of this connection
+ */
+
+/**
+ * @typedef {(req: import('http').IncomingMessage, docName: string) => Promise<boolean|AuthResult>|boolean|AuthResult} Authorizer
+ */
+
+/**
+ * @type {Authorizer}
+ */
+let authorizer = (_req, _docName) => true
+
+/**
+ * This function is called for every connection request before the websocket
+ * upgrade. Return `false` to reject the request, `true` to grant full access
+ * or an `AuthResult` to restrict the connection.
+ *
+ * @param {Authorizer} f
+ */
+exports.setAuthorizer = (f) => {
+  authorizer = f
+}
+
+/**
+ * Decides whether `guid` names a sub document of `parent`. It is called once
+ * the parent document was loaded, before a connection subscribes to the sub
+ * document.
+ *
+ * @typedef {(parent: WSSharedDoc, guid: string) => Promise<boolean>|boolean} SubdocResolver
+ */
+
+/**
+ * @type {SubdocResolver}
+ */
+let subdocResolver = (parent, guid) => parent.getSubdocGuids().has(guid)
+
+/**
+ * Replace the default check, which only allows sub documents that are
+ * embedded in the parent document.
+ *
+ * @param {SubdocResolver} f
+ */
+exports.setSubdocResolver = (f) => {
+  subdocResolver = f
+}
+
+/**
+ * @typedef {Object} UpdateRejection
+ * @property {string} reason Sent to the client
+ * @property {boolean} [close] Close the connection with `closeCodeUpdateRejected`
+ */
+
+/**
+ * Inspects an update before it is applied to `doc` and broadcast. Returns an
+ * `UpdateRejection` to drop the update, or nothing to apply it. Runs
+ * synchronously, so that updates are applied in the order they arrive.
+ *
+ * @typedef {(update: Uint8Array, doc: WSSharedDoc, context: RequestContext|null) => UpdateRejection|null|undefined|void} UpdateValidator
+ */
+
+/**
+ * @type {UpdateValidator|null}
+ */
+let updateValidator = null
+
+/**
+ * Validate every update that clients or the http api send, e.g. to enforce
+ * size limits or a schema. Pass null to accept all updates.
+ *
+ * @param {UpdateValidator|null} f
+ */
+exports.setUpdateValidator = (f) => {
+  updateValidator = f
+}
+
+/**
+ * Run the update validator. Returns null if the update may be applied. An
+ * update is rejected if the validator throws.
+ *
+ * @param {WSSharedDoc} doc
+ * @param {Uint8Array} update
+ * @param {RequestContext|null} context
+ * @return {UpdateRejection|null}
+ */
+const validateUpdate = (doc, update, context) => {
+  if (updateValidator === null) {
+    return null
+  }
+  let rejection = null
+  try {
+    rejection = updateValidator(update, doc, context) || null
+  } catch (err) {
+    console.error(err)
+    rejection = { reason: 'Invalid update' }
+  }
+  if (rejection !== null) {
+    metrics.inc('y_websocket_updates_rejected_total')
+    emitEvent('update-rejected', [doc, rejection, context])
+  }
+  return rejection
+}
+
+exports.validateUpdate = validateUpdate
+
+/**
+ * Copy `doc` and apply `update` to the copy, so that an update validator can
+ * check the resulting state. Destroy the copy when you are done.
+ *
+ * @param {Y.Doc} doc
+ * @param {Uint8Array} update
+ * @return {Y.Doc}
+ */
+exports.previewUpdate = (doc, update) => {
+  const preview = new Y.Doc({ gc: doc.gc })
+  Y.applyUpdate(preview, Y.encodeStateAsUpdate(doc))
+  Y.applyUpdate(preview, update)
+  return preview
+}
+
+/**
+ * Whether applying `update` would make `doc` larger than `MAX_DOCUMENT_SIZE`
+ * bytes. The size is estimated by adding up the applied updates and only
+ * measured when the estimate exceeds the limit.
+ *
+ * @param {WSSharedDoc} doc
+ * @param {Uint8Array} update
+ * @return {boolean}
+ */
+const exceedsMaxDocumentSize = (doc, update) => {
+  if (MAX_DOCUMENT_SIZE <= 0) {
+    return false
+  }
+  if (doc.sizeEstimate < 0 || doc.sizeEstimate + update.length > MAX_DOCUMENT_SIZE) {
+    doc.sizeEstimate = Y.encodeStateAsUpdate(doc).length
+    if (doc.sizeEstimate + update.length > MAX_DOCUMENT_SIZE) {
+      return true
+    }
+  }
+  doc.sizeEstimate += update.length
+  return false
+}
+
+exports.exceedsMaxDocumentSize = exceedsMaxDocumentSize
+
+/**
+ * @param {any} conn
+ * @param {number} code
+ * @param {string} quota
+ */
+const closeQuotaExceeded = (conn, code, quota) => {
+  metrics.inc('y_websocket_quota_exceeded_total', { quota })
+  conn.close(code, 'Quota exceeded: ' + quota)
+}
+
+/**
+ * Returns the awareness state that other connections receive, e.g. without
+ * private fields. Return null to hide the client. Must not modify `state`.
+ *
+ * @typedef {(state: Object<string,any>, clientID: number, doc: WSSharedDoc) => Object<string,any>|null} AwarenessFilter
+ */
+
+/**
+ * @type {AwarenessFilter|null}
+ */
+let awarenessFilter = null
+
+/**
+ * Filter the awareness states before they are sent to connections. Pass null
+ * to send the states as they are.
+ *
+ * @param {AwarenessFilter|null} f
+ */
+exports.setAwarenessFilter = (f) => {
+  awarenessFilter = f
+}
+
+/**
+ * @param {WSSharedDoc} doc
+ * @param {number} clientID
+ * @param {Object<string,any>} state
+ * @return {Object<string,any>|null} null if the client is hidden or the filter failed
+ */
+const filterAwarenessState = (doc, clientID, state) => {
+  try {
+    return awarenessFilter === null ? state : awarenessFilter(state, clientID, doc)
+  } catch (err) {
+    console.error(err)
+    return null
+  }
+}
+
+/**
+ * The document name is the (url-decoded) path of the request.
+ *
+ * @param {import('http').IncomingMessage} req
+ * @return {string}
+ */
+const getDocName = req => {
+  const path = (req.url || '').slice(1).split('?')[0]
+  try {
+    return decodeURIComponent(path)
+  } catch (err) {
+    return path
+  }
+}
+
+exports.getDocName = getDocName
+
+/**
+ * Run the registered authorizer. Resolves to `null` if access is denied.
+ *
+ * @param {import('http').IncomingMessage} req
+ * @param {string} docName
+ * @return {Promise<AuthResult|null>}
+ */
+exports.authorize = async (req, docName) => {
+  const result = await authorizer(req, docName)
+  if (result === false) {
+    return null
+  }
+  return result === true ? {} : result
+}
+
 /**
  * 
  * @param {encoding.Encoder} encoder 
@@ -191,61 +695,378 @@ exports.getYDoc = getYDoc
  * @type {Map<String, Map<String, WSSharedDoc>>} mainDocID, subDocID
  */
 const subdocsMap = new Map()
+exports.subdocsMap = subdocsMap
+
+/**
+ * Sub documents that are loading for a room, so that requests that arrive
+ * together can't exceed MAX_SUBDOCS_PER_ROOM
+ * @type {Map<string, Set<string>>} mainDocID, subDocIDs
+ */
+const loadingSubdocs = new Map()
+
+/**
+ * Send the full awareness state of `doc` to a single connection.
+ *
+ * @param {WSSharedDoc} doc
+ * @param {any} conn
+ */
+const sendAwarenessStates = (doc, conn) => {
+  const awarenessStates = doc.awareness.getStates()
+  if (awarenessStates.size > 0) {
+    const message = encodeAwarenessMessage(doc, Array.from(awarenessStates.keys()))
+    if (message !== null) {
+      send(doc, conn, message)
+    }
+  }
+}
+
+/**
+ * Encode the awareness states of `clients` after passing them through the
+ * awareness filter. Clients that the filter hides are left out, because
+ * sending `null` would remove them, and their own provider answers that by
+ * broadcasting its state again. Returns null if no client is left.
+ *
+ * @param {WSSharedDoc} doc
+ * @param {Array<number>} clients
+ * @return {Uint8Array|null}
+ */
+const encodeAwarenessMessage = (doc, clients) => {
+  let states = doc.awareness.getStates()
+  if (awarenessFilter !== null) {
+    /**
+     * @type {Map<number,Object<string,any>>}
+     */
+    const filtered = new Map()
+    clients = clients.filter(clientID => {
+      const state = states.get(clientID)
+      if (state === undefined) {
+        // removed clients are sent as null
+        return true
+      }
+      const filteredState = filterAwarenessState(doc, clientID, state)
+      if (filteredState !== null) {
+        filtered.set(clientID, filteredState)
+      }
+      return filteredState !== null
+    })
+    if (clients.length === 0) {
+      return null
+    }
+    states = filtered
+  }
+  const encoder = encoding.createEncoder()
+  encoding.writeVarUint(encoder, messageAwareness)
+  encoding.writeVarString(encoder, doc.name)
+  encoding.writeVarUint8Array(encoder, awarenessProtocol.encodeAwarenessUpdate(doc.awareness, clients, states))
+  return encoding.toUint8Array(encoder)
+}
+
+/**
+ * @param {WSSharedDoc} doc
+ * @param {Array<number>} clients
+ */
+const broadcastAwareness = (doc, clients) => {
+  const message = encodeAwarenessMessage(doc, clients)
+  if (message === null) {
+    return
+  }
+  doc.conns.forEach((_, conn) => {
+    send(doc, conn, message)
+  })
+}
+
+/**
+ * @typedef {Object} ConnContext
+ * @property {boolean} readOnly
+ * @property {boolean} readOnlyAwareness
+ * @property {function(string):boolean} canAccessSubdoc
+ * @property {Map<string,Array<Uint8Array>>} subdocRequests Messages for sub documents that are not subscribed yet, by guid
+ * @property {RequestContext} context
+ * @property {ProtocolInfo|null} protocol Protocol of the client. null if it didn't send a handshake
+ */
+
+/**
+ * @typedef {Object} ProtocolInfo
+ * @property {number} version
+ * @property {Array<string>} capabilities
+ */
+
+/**
+ * @param {any} conn
+ * @param {WSSharedDoc} doc
+ * @param {string} docGuid
+ * @param {string} reason
+ */
+const sendPermissionDenied = (conn, doc, docGuid, reason) => {
+  send(doc, conn, encodePermissionDenied(docGuid, reason))
+}
+
+/**
+ * @param {string} docGuid
+ * @param {string} reason
+ * @return {Uint8Array}
+ */
+const encodePermissionDenied = (docGuid, reason) => {
+  const encoder = encoding.createEncoder()
+  encoding.writeVarUint(encoder, messageAuth)
+  encoding.writeVarString(encoder, docGuid)
+  authProtocol.writePermissionDenied(encoder, reason)
+  return encoding.toUint8Array(encoder)
+}
+
+/**
+ * Close a connection that the authorizer rejected. The provider receives a
+ * permission-denied message before the connection is closed with
+ * `closeCodeUnauthorized`.
+ *
+ * @param {import('ws').WebSocket} conn
+ * @param {string} docName
+ * @param {string} [reason]
+ */
+exports.rejectConnection = (conn, docName, reason = 'Unauthorized') => {
+  conn.send(encodePermissionDenied(docName, reason), {}, () => {
+    conn.close(closeCodeUnauthorized, reason)
+  })
+}
+
+/**
+ * @param {any} conn
+ * @param {WSSharedDoc} doc
+ * @param {UpdateRejection} rejection
+ * @param {number} [closeCode]
+ */
+const rejectUpdate = (conn, doc, rejection, closeCode = closeCodeUpdateRejected) => {
+  const encoder = encoding.createEncoder()
+  encoding.writeVarUint(encoder, messageUpdateRejected)
+  encoding.writeVarString(encoder, doc.name)
+  encoding.writeVarString(encoder, rejection.reason)
+  send(doc, conn, encoding.toUint8Array(encoder))
+  if (rejection.close) {
+    conn.close(closeCode, closeCode === closeCodeUpdateRejected ? 'Update rejected' : rejection.reason)
+  }
+}
+
+/**
+ * Timers that unload idle sub documents, by guid
+ * @type {Map<string, any>}
+ */
+const subdocIdleTimers = new Map()
+
+/**
+ * Resolve the document a message is addressed to. Returns null if `conn` is
+ * not subscribed to the sub document yet.
+ *
+ * @param {any} conn
+ * @param {WSSharedDoc} doc main doc
+ * @param {string} docGuid
+ * @return {WSSharedDoc|null}
+ */
+const getTargetDoc = (conn, doc, docGuid) => {
+  if (docGuid === doc.name) {
+    return doc
+  }
+  const subdoc = (subdocsMap.get(doc.name) || new Map()).get(docGuid)
+  return subdoc !== undefined && subdoc.conns.has(conn) ? subdoc : null
+}
+
+/**
+ * Subscribe `conn` to a loaded sub document and start syncing it.
+ *
+ * @param {any} conn
+ * @param {WSSharedDoc} doc main doc
+ * @param {WSSharedDoc} subdoc
+ */
+const subscribeConn = (conn, doc, subdoc) => {
+  clearTimeout(subdocIdleTimers.get(subdoc.name))
+  subdocIdleTimers.delete(subdoc.name)
+  subdoc.conns.set(conn, new Set())
+  map.setIfUndefined(subdocsMap, doc.name, () => new Map()).set(subdoc.name, subdoc)
+  emitEvent('connection-joined', [subdoc, conn, connContexts.get(conn) || null])
+  // send sync step 1
+  const encoder = encoding.createEncoder()
+  encoding.writeVarUint(encoder, messageSync)
+  encoding.writeVarString(encoder, subdoc.name)
+  syncProtocol.writeSyncStep1(encoder, subdoc)
+  send(subdoc, conn, encoding.toUint8Array(encoder))
+  sendAwarenessStates(subdoc, conn)
+}
+
+/**
+ * Handle the first message for a sub document that `conn` is not subscribed
+ * to. The sub document is loaded once access is granted, then the messages
+ * that arrived in the meantime are processed in order.
+ *
+ * @param {any} conn
+ * @param {ConnContext} ctx
+ * @param {WSSharedDoc} doc main doc
+ * @param {string} docGuid
+ * @param {Uint8Array} message
+ */
+const requestSubdoc = (conn, ctx, doc, docGuid, message) => {
+  const queued = ctx.subdocRequests.get(docGuid)
+  if (queued !== undefined) {
+    queued.push(message)
+    return
+  }
+  ctx.subdocRequests.set(docGuid, [message])
+  const granted = ctx.canAccessSubdoc(docGuid)
+    ? doc.whenInitialized.then(() => subdocResolver(doc, docGuid))
+    : Promise.resolve(false)
+  granted.then(async granted => {
+    if (!granted) {
+      return false
+    }
+    const subdocs = subdocsMap.get(doc.name)
+    const reserved = MAX_SUBDOCS_PER_ROOM > 0 && (subdocs === undefined || !subdocs.has(docGuid))
+    if (reserved) {
+      const loading = map.setIfUndefined(loadingSubdocs, doc.name, () => new Set())
+      if (!loading.has(docGuid) && (subdocs === undefined ? 0 : subdocs.size) + loading.size >= MAX_SUBDOCS_PER_ROOM) {
+        closeQuotaExceeded(conn, closeCodeTooManySubdocs, 'subdocs')
+        return null
+      }
+      loading.add(docGuid)
+    }
+    try {
+      const subdoc = getYDoc(docGuid, false, ctx.context)
+      await subdoc.whenInitialized
+      if (doc.conns.has(conn)) {
+        subscribeConn(conn, doc, subdoc)
+      } else if (subdoc.conns.size === 0) {
+        // the connection was closed while the sub document was loading
+        scheduleSubdocUnload(subdoc)
+      }
+    } finally {
+      const loading = loadingSubdocs.get(doc.name)
+      if (reserved && loading !== undefined) {
+        loading.delete(docGuid)
+        if (loading.size === 0) {
+          loadingSubdocs.delete(doc.name)
+        }
+      }
+    }
+    return true
+  }).then(granted => {
+    const messages = ctx.subdocRequests.get(docGuid) || []
+    ctx.subdocRequests.delete(docGuid)
+    if (!doc.conns.has(conn) || granted === null) {
+      return
+    }
+    if (granted) {
+      // subscribing fails if the connection is closing, e.g. because of a quota
+      if (getTargetDoc(conn, doc, docGuid) !== null) {
+        messages.forEach(m => messageListener(conn, ctx, doc, m))
+      }
+    } else {
+      sendPermissionDenied(conn, doc, docGuid, 'Access to sub document denied')
+    }
+  }).catch(err => {
+    ctx.subdocRequests.delete(docGuid)
+    console.error(err)
+  })
+}
 
 /**
  * @param {any} conn
+ * @param {ConnContext} ctx
  * @param {WSSharedDoc} doc main doc
  * @param {Uint8Array} message
  */
-const messageListener = (conn, doc, message) => {
+const messageListener = (conn, ctx, doc, message) => {
   try {
     const encoder = encoding.createEncoder()
     const decoder = decoding.createDecoder(message)
     const messageType = decoding.readVarUint(decoder)
     switch (messageType) {
-      case messageSync:
-        let targetDoc = doc
+      case messageSync: {
         const docGuid = decoding.readVarString(decoder)
-        if (docGuid !== doc.name) {
-          // subdoc
-          targetDoc = getYDoc(docGuid, false)
-          if (!targetDoc.conns.has(conn)) targetDoc.conns.set(conn, new Set())
-
-          const subm = subdocsMap.get(doc.name)
-          if (subm && subm.has(targetDoc.name)) {
-            // sync step 1 done before.
-          } else {
-            if (subm) {
-              subm.set(targetDoc.name, targetDoc)
-            } else {
-              const nm = new Map()
-              nm.set(targetDoc.name, targetDoc)
-              subdocsMap.set(doc.name, nm)
-            }
-
-            // send sync step 1
-            const encoder = encoding.createEncoder()
-            encoding.writeVarUint(encoder, messageSync)
-            encoding.writeVarString(encoder, targetDoc.name)
-            syncProtocol.writeSyncStep1(encoder, targetDoc)
-            send(targetDoc, conn, encoding.toUint8Array(encoder))
+        if (docGuid === '') {
+          // upstream clients start with sync step 1 and don't write a guid
+          conn.close(closeCodeProtocolMismatch, 'Unsupported protocol version 0')
+          break
+        }
+        const targetDoc = getTargetDoc(conn, doc, docGuid)
+        if (targetDoc === null) {
+          requestSubdoc(conn, ctx, doc, docGuid, message)
+          break
+        }
+        if (ctx.readOnly && decoding.peekVarUint(decoder) !== syncProtocol.messageYjsSyncStep1) {
+          // read-only connections may request the document state, but their updates are dropped
+          break
+        }
+        if ((updateValidator !== null || MAX_DOCUMENT_SIZE > 0) && decoding.peekVarUint(decoder) !== syncProtocol.messageYjsSyncStep1) {
+          // sync step 2 and update messages contain an update
+          const updateDecoder = decoding.clone(decoder)
+          decoding.readVarUint(updateDecoder)
+          const update = decoding.readVarUint8Array(updateDecoder)
+          if (exceedsMaxDocumentSize(targetDoc, update)) {
+            metrics.inc('y_websocket_quota_exceeded_total', { quota: 'document_size' })
+            rejectUpdate(conn, targetDoc, { reason: 'Quota exceeded: document_size', close: true }, closeCodeDocumentTooLarge)
+            break
+          }
+          const rejection = validateUpdate(targetDoc, update, ctx.context)
+          if (rejection !== null) {
+            rejectUpdate(conn, targetDoc, rejection)
+            break
           }
-
         }
-
         encoding.writeVarUint(encoder, messageSync)
         encoding.writeVarString(encoder, targetDoc.name)
-        syncProtocol.readSyncMessage(decoder, encoder, doc, conn)
+        // updates are applied to the addressed document. Its update handler
+        // broadcasts them to the connections subscribed to it.
+        syncProtocol.readSyncMessage(decoder, encoder, targetDoc, conn)
 
-        // If the `encoder` only contains the type of reply message and no
-        // message, there is no need to send the message. When `encoder` only
-        // contains the type of reply, its length is 1.
-        if (encoding.length(encoder) > 1) {
-          send(doc, conn, encoding.toUint8Array(encoder))
+        // If the `encoder` only contains the type of reply message and the
+        // doc guid, there is no need to send the message.
+        if (needSend(encoder)) {
+          send(targetDoc, conn, encoding.toUint8Array(encoder))
         }
         break
+      }
       case messageAwareness: {
-        awarenessProtocol.applyAwarenessUpdate(doc.awareness, decoding.readVarUint8Array(decoder), conn)
+        const docGuid = decoding.readVarString(decoder)
+        const targetDoc = getTargetDoc(conn, doc, docGuid)
+        if (targetDoc === null) {
+          requestSubdoc(conn, ctx, doc, docGuid, message)
+        } else if (!ctx.readOnly || ctx.readOnlyAwareness) {
+          awarenessProtocol.applyAwarenessUpdate(targetDoc.awareness, decoding.readVarUint8Array(decoder), conn)
+        }
+        break
+      }
+      case messageUnsubscribe: {
+        const subdoc = (subdocsMap.get(doc.name) || new Map()).get(decoding.readVarString(decoder))
+        if (subdoc !== undefined) {
+          unsubscribeConn(doc, subdoc, conn)
+        }
+        break
+      }
+      case messageHandshake: {
+        decoding.readVarString(decoder)
+        const version = decoding.readVarUint(decoder)
+        /**
+         * @type {Array<string>}
+         */
+        const capabilities = []
+        for (let i = decoding.readVarUint(decoder); i > 0; i--) {
+          capabilities.push(decoding.readVarString(decoder))
+        }
+        ctx.protocol = { version, capabilities }
+        const serverCapabilities = /permessage-deflate/.test(conn.extensions || '') ? protocolCapabilities.concat('compression') : protocolCapabilities
+        encoding.writeVarUint(encoder, messageHandshake)
+        encoding.writeVarString(encoder, doc.name)
+        encoding.writeVarUint(encoder, protocolVersion)
+        encoding.writeVarUint(encoder, serverCapabilities.length)
+        serverCapabilities.forEach(capability => { encoding.writeVarString(encoder, capability) })
+        send(doc, conn, encoding.toUint8Array(encoder))
+        if (version !== protocolVersion) {
+          conn.close(closeCodeProtocolMismatch, `Unsupported protocol version ${version}`)
+        }
+        break
+      }
+      case messagePing: {
+        encoding.writeVarUint(encoder, messagePong)
+        encoding.writeVarString(encoder, decoding.readVarString(decoder))
+        encoding.writeVarUint(encoder, decoding.readVarUint(decoder))
+        send(doc, conn, encoding.toUint8Array(encoder))
         break
       }
     }
@@ -256,6 +1077,100 @@ const messageListener = (conn, doc, message) => {
   }
 }
 
+/**
+ * Store the state of a document that has no connections left and remove it
+ * from memory. Documents are only unloaded if a persistence layer is set.
+ *
+ * @param {WSSharedDoc} doc
+ * @param {RequestContext|null} [context] the request that caused the unload
+ */
+const unloadDoc = (doc, context = null) => {
+  if (doc.conns.size === 0 && persistence !== null && !shuttingDown) {
+    // if persisted, we store state and destroy ydocument
+    persistence.writeState(doc.name, doc).then(() => {
+      emitEvent('doc-persisted', [doc, context])
+      doc.destroy()
+      emitEvent('doc-destroyed', [doc, context])
+    })
+    docs.delete(doc.name)
+    subdocsMap.delete(doc.name)
+    // don't let parent documents point to the destroyed sub document
+    subdocsMap.forEach(subm => {
+      if (subm.get(doc.name) === doc) {
+        subm.delete(doc.name)
+      }
+    })
+  }
+}
+
+exports.unloadDoc = unloadDoc
+
+/**
+ * Close all connections with `closeCodeGoingAway` and store every document
+ * and sub document in memory. Resolves once all documents were stored and the
+ * persistence layer and backplane were released.
+ *
+ * @return {Promise<void>}
+ */
+exports.shutdown = async () => {
+  shuttingDown = true
+  subdocIdleTimers.forEach(timer => clearTimeout(timer))
+  subdocIdleTimers.clear()
+  const allDocs = new Set(docs.values())
+  subdocsMap.forEach(subm => subm.forEach(subdoc => allDocs.add(subdoc)))
+  allDocs.forEach(doc => {
+    doc.conns.forEach((_, conn) => conn.close(closeCodeGoingAway, 'Server is shutting down'))
+  })
+  const persistence_ = persistence
+  if (persistence_ !== null) {
+    await Promise.all(Array.from(allDocs).map(doc => persistence_.writeState(doc.name, doc)))
+    if (persistence_.provider && typeof persistence_.provider.destroy === 'function') {
+      await persistence_.provider.destroy()
+    }
+  }
+  if (backplane !== null && backplane.destroy) {
+    await backplane.destroy()
+  }
+}
+
+/**
+ * Unload a sub document if no connection subscribes to it within
+ * `SUBDOC_IDLE_TIMEOUT` milliseconds.
+ *
+ * @param {WSSharedDoc} subdoc
+ */
+const scheduleSubdocUnload = subdoc => {
+  if (persistence === null || subdocIdleTimers.has(subdoc.name)) {
+    return
+  }
+  subdocIdleTimers.set(subdoc.name, setTimeout(() => {
+    subdocIdleTimers.delete(subdoc.name)
+    if (subdoc.conns.size === 0 && docs.get(subdoc.name) === subdoc) {
+      unloadDoc(subdoc)
+    }
+  }, SUBDOC_IDLE_TIMEOUT))
+}
+
+/**
+ * Stop syncing a sub document with `conn` and remove the awareness states
+ * that `conn` controlled.
+ *
+ * @param {WSSharedDoc} doc main doc
+ * @param {WSSharedDoc} subdoc
+ * @param {any} conn
+ */
+const unsubscribeConn = (doc, subdoc, conn) => {
+  const controlledIds = subdoc.conns.get(conn)
+  if (controlledIds !== undefined) {
+    subdoc.conns.delete(conn)
+    awarenessProtocol.removeAwarenessStates(subdoc.awareness, Array.from(controlledIds), null)
+    emitEvent('connection-left', [subdoc, conn, connContexts.get(conn) || null])
+    if (subdoc.conns.size === 0) {
+      scheduleSubdocUnload(subdoc)
+    }
+  }
+}
+
 /**
  * @param {WSSharedDoc} doc
  * @param {any} conn
@@ -266,13 +1181,7 @@ const closeConn = (doc, conn) => {
     const m = subdocsMap.get(doc.name)
     if (m && m.size > 0) {
       for (const subdoc of m.values()) {
-        subdoc.conns.delete(conn)
-        if (subdoc.conns.size === 0 && persistence !== null) {
-          persistence.writeState(subdoc.name, doc).then(() => {
-            subdoc.destroy()
-          })
-          docs.delete(subdoc.name)
-        }
+        unsubscribeConn(doc, subdoc, conn)
       }
     }
     
@@ -283,14 +1192,9 @@ const closeConn = (doc, conn) => {
     const controlledIds = doc.conns.get(conn)
     doc.conns.delete(conn)
     awarenessProtocol.removeAwarenessStates(doc.awareness, Array.from(controlledIds), null)
-    if (doc.conns.size === 0 && persistence !== null) {
-      // if persisted, we store state and destroy ydocument
-      persistence.writeState(doc.name, doc).then(() => {
-        doc.destroy()
-      })
-      docs.delete(doc.name)
-      subdocsMap.delete(doc.name)
-    }
+    const context = connContexts.get(conn) || null
+    emitEvent('connection-left', [doc, conn, context])
+    unloadDoc(doc, context)
 
   }
   conn.close()
@@ -303,32 +1207,105 @@ const closeConn = (doc, conn) => {
  */
 const send = (doc, conn, m) => {
   if (conn.readyState !== wsReadyStateConnecting && conn.readyState !== wsReadyStateOpen) {
+    metrics.inc('y_websocket_send_failures_total')
     closeConn(doc, conn)
   }
   try {
-    conn.send(m, {}, err => { err != null && closeConn(doc, conn) })
+    conn.send(m, {}, err => {
+      if (err != null) {
+        metrics.inc('y_websocket_send_failures_total')
+        closeConn(doc, conn)
+      }
+    })
   } catch (e) {
+    metrics.inc('y_websocket_send_failures_total')
     closeConn(doc, conn)
   }
 }
 
-const pingTimeout = 30000
+const defaultPingTimeout = 30000
 
 /**
  * @param {import('ws').WebSocket} conn
  * @param {import('http').IncomingMessage} req
- * @param {any} opts
+ * @param {object} opts
+ * @param {string} [opts.docName]
+ * @param {boolean} [opts.gc]
+ * @param {AuthResult} [opts.auth] result of `authorize`
+ * @param {boolean} [opts.readOnly] Sync the document to this connection, but drop its updates
+ * @param {boolean} [opts.readOnlyAwareness] Accept awareness updates from a read-only connection
+ * @param {number} [opts.pingTimeout] Close the connection if it didn't answer a ping or send a message within
+ *        this many milliseconds
  */
-exports.setupWSConnection = (conn, req, { docName = (req.url || '').slice(1).split('?')[0], gc = true } = {}) => {
+exports.setupWSConnection = (conn, req, {
+  docName = getDocName(req),
+  gc = gcEnabled,
+  auth = {},
+  readOnly = auth.readOnly === true,
+  readOnlyAwareness = auth.readOnlyAwareness !== false,
+  pingTimeout = defaultPingTimeout
+} = {}) => {
   conn.binaryType = 'arraybuffer'
+  // ws closes the connection after protocol errors, e.g. a message larger than its `maxPayload`
+  conn.on('error', /** @param {Error} err */ err => {
+    console.warn(`Connection error on ${docName}: ${err.message}`)
+  })
+  /**
+   * @type {ConnContext}
+   */
+  const ctx = {
+    readOnly,
+    readOnlyAwareness,
+    canAccessSubdoc: auth.canAccessSubdoc || (_guid => true),
+    subdocRequests: new Map(),
+    context: createRequestContext(req, docName, auth),
+    protocol: null
+  }
+  const loaded = docs.get(docName)
+  if (MAX_CONNECTIONS_PER_ROOM > 0 && loaded !== undefined && loaded.conns.size >= MAX_CONNECTIONS_PER_ROOM) {
+    closeQuotaExceeded(conn, closeCodeRoomFull, 'connections')
+    return
+  }
+  connContexts.set(conn, ctx.context)
   // get doc, initialize if it does not exist yet
-  const doc = getYDoc(docName, gc)
+  const doc = getYDoc(docName, gc, ctx.context)
   doc.conns.set(conn, new Set())
+  emitEvent('connection-joined', [doc, conn, ctx.context])
+  // Check if connection is still alive. Any message proves that it is.
+  let pongReceived = true
+  // messages and bytes received in the current second
+  let rateWindowStart = 0
+  let rateMessages = 0
+  let rateBytes = 0
   // listen and reply to events
-  conn.on('message', /** @param {ArrayBuffer} message */ message => messageListener(conn, doc, new Uint8Array(message)))
+  conn.on('message', /** @param {ArrayBuffer} message */ message => {
+    if (shuttingDown || conn.readyState !== wsReadyStateOpen) {
+      return
+    }
+    pongReceived = true
+    const data = new Uint8Array(message)
+    const now = Date.now()
+    if (now - rateWindowStart >= 1000) {
+      rateWindowStart = now
+      rateMessages = 0
+      rateBytes = 0
+    }
+    rateMessages++
+    rateBytes += data.byteLength
+    if (MAX_MESSAGE_SIZE > 0 && data.byteLength > MAX_MESSAGE_SIZE) {
+      closeQuotaExceeded(conn, closeCodeMessageTooBig, 'message_size')
+      return
+    }
+    if ((MAX_MESSAGES_PER_SECOND > 0 && rateMessages > MAX_MESSAGES_PER_SECOND) || (MAX_BYTES_PER_SECOND > 0 && rateBytes > MAX_BYTES_PER_SECOND)) {
+      closeQuotaExceeded(conn, closeCodeRateLimited, rateMessages > MAX_MESSAGES_PER_SECOND && MAX_MESSAGES_PER_SECOND > 0 ? 'messages_per_second' : 'bytes_per_second')
+      return
+    }
+    const type = getMessageTypeName(data)
+    metrics.inc('y_websocket_messages_received_total', { type })
+    metrics.inc('y_websocket_message_bytes_received_total', { type }, data.byteLength)
+    messageListener(conn, ctx, doc, data)
+  })
 
-  // Check if connection is still alive
-  let pongReceived = true
   const pingInterval = setInterval(() => {
     if (!pongReceived) {
       if (doc.conns.has(conn)) {
@@ -345,7 +1322,10 @@ exports.setupWSConnection = (conn, req, { docName = (req.url || '').slice(1).spl
       }
     }
   }, pingTimeout)
+  openConnections++
   conn.on('close', () => {
+    openConnections--
+    metrics.inc('y_websocket_connections_closed_total')
     closeConn(doc, conn)
     clearInterval(pingInterval)
   })
@@ -361,12 +1341,6 @@ exports.setupWSConnection = (conn, req, { docName = (req.url || '').slice(1).spl
     encoding.writeVarString(encoder, doc.name)
     syncProtocol.writeSyncStep1(encoder, doc)
     send(doc, conn, encoding.toUint8Array(encoder))
-    const awarenessStates = doc.awareness.getStates()
-    if (awarenessStates.size > 0) {
-      const encoder = encoding.createEncoder()
-      encoding.writeVarUint(encoder, messageAwareness)
-      encoding.writeVarUint8Array(encoder, awarenessProtocol.encodeAwarenessUpdate(doc.awareness, Array.from(awarenessStates.keys())))
-      send(doc, conn, encoding.toUint8Array(encoder))
-    }
+    sendAwarenessStates(doc, conn)
   }
 }
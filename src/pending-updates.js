@@ -0,0 +1,63 @@
+/**
+ * @module provider/websocket/pending-updates
+ */
+
+/* eslint-env browser */
+
+import * as idb from 'lib0/indexeddb'
+
+/**
+ * Local updates of a document that were not confirmed by the server yet.
+ *
+ * @typedef {Object} PendingUpdate
+ * @property {string} docGuid
+ * @property {Uint8Array} update All pending updates of the document, merged into one
+ * @property {number} count Number of local updates that were merged into `update`
+ */
+
+/**
+ * The pending updates that one provider saved.
+ *
+ * @typedef {Object} PendingUpdateRecord
+ * @property {number} id The client id of the provider's document
+ * @property {Array<PendingUpdate>} pendingUpdates
+ */
+
+/**
+ * Persists pending updates so that they survive a page reload. Every provider
+ * of a room (e.g. one per browser tab) saves its pending updates under its own
+ * `id`, and `save` is called with an empty array once all updates were
+ * confirmed. `load` returns the records of all providers of the room.
+ *
+ * @typedef {Object} PendingUpdateStore
+ * @property {function(string):Promise<Array<PendingUpdateRecord>>} load
+ * @property {function(string,number,Array<PendingUpdate>):Promise<void>} save
+ */
+
+const storeName = 'pending'
+
+/**
+ * Store pending updates in IndexedDB.
+ *
+ * @param {string} [dbName]
+ * @return {PendingUpdateStore}
+ */
+export const createIndexeddbPendingUpdateStore = (dbName = 'y-websocket-pending-updates') => {
+  const db = idb.openDB(dbName, db => idb.createStores(db, [[storeName]]))
+  return {
+    load: async room => {
+      const [store] = idb.transact(await db, [storeName], 'readonly')
+      // keys are [room, id], and arrays sort after numbers
+      const records = await idb.getAllKeysValues(store, idb.createIDBKeyRangeBound([room], [room, []], false, false))
+      return records.map(({ k, v }) => ({ id: /** @type {any} */ (k)[1], pendingUpdates: v }))
+    },
+    save: async (room, id, pendingUpdates) => {
+      const [store] = idb.transact(await db, [storeName])
+      if (pendingUpdates.length === 0) {
+        await idb.del(store, [room, id])
+      } else {
+        await idb.put(store, /** @type {any} */ (pendingUpdates), [room, id])
+      }
+    }
+  }
+}
@@ -14,14 +14,75 @@ import * as authProtocol from 'y-protocols/auth'
 import * as awarenessProtocol from 'y-protocols/awareness'
 import { Observable } from 'lib0/observable'
 import * as math from 'lib0/math'
+import * as random from 'lib0/random'
 import * as url from 'lib0/url'
 import * as env from 'lib0/environment'
 import log from "loglevel";
 
+export { createIndexeddbPendingUpdateStore } from './pending-updates.js'
+
 export const messageSync = 0
 export const messageQueryAwareness = 3
 export const messageAwareness = 1
 export const messageAuth = 2
+// application level heartbeat: [messagePing][docGuid][id] is answered with [messagePong][docGuid][id]
+export const messagePing = 4
+export const messagePong = 5
+// [messageUnsubscribe][docGuid] tells the server to stop syncing a sub document
+export const messageUnsubscribe = 6
+// [messageHandshake][docGuid][protocolVersion][capabilities] is sent when connected and answered with the
+// handshake of the server
+export const messageHandshake = 7
+// [messageUpdateRejected][docGuid][reason] the server rejected a local update
+export const messageUpdateRejected = 8
+
+/**
+ * Version of the wire format. Version 1 writes the guid of the addressed
+ * document after the message type. Upstream y-websocket (version 0) doesn't.
+ */
+export const protocolVersion = 1
+
+/**
+ * Features of the protocol that the provider supports. `compression` is added
+ * if the connection negotiated permessage-deflate.
+ */
+export const protocolCapabilities = ['subdocs', 'auth', 'ping', 'unsubscribe']
+
+/**
+ * Close code the server uses when it rejects the credentials of a connection.
+ */
+export const closeCodeUnauthorized = 4401
+
+/**
+ * Close code the server uses when it shuts down. The provider reconnects
+ * after a short random delay, so that it connects to the next server instance
+ * without backing off.
+ */
+export const closeCodeGoingAway = 1001
+
+/**
+ * Close code the server uses when it doesn't support the protocol version of
+ * the provider. The provider emits `protocol-mismatch` and doesn't reconnect.
+ */
+export const closeCodeProtocolMismatch = 4426
+
+/**
+ * Close code the server uses when it rejected an update and doesn't want the
+ * provider to send it again. The provider doesn't reconnect.
+ */
+export const closeCodeUpdateRejected = 4422
+
+/**
+ * Close codes the server uses when the connection exceeded a quota. The
+ * provider emits `quota-exceeded` and waits `quotaBackoffTime` before it
+ * reconnects.
+ */
+export const closeCodeMessageTooBig = 1009
+export const closeCodeDocumentTooLarge = 4413
+export const closeCodeRateLimited = 4429
+export const closeCodeRoomFull = 4503
+export const closeCodeTooManySubdocs = 4507
+const quotaCloseCodes = [closeCodeMessageTooBig, closeCodeDocumentTooLarge, closeCodeRateLimited, closeCodeRoomFull, closeCodeTooManySubdocs]
 
 export const YWebsocketLoggerName = "YWebsocketProviderLogger"
 export const YWebsocketAwarenessLoggerName = "YWebsocketProviderAwarenessLogger"
@@ -30,6 +91,12 @@ const logger = log.getLogger(YWebsocketLoggerName)
 const alogger = log.getLogger(YWebsocketAwarenessLoggerName)
 const slogger = log.getLogger(YWebsocketSyncLoggerName)
 
+/**
+ * @typedef {Object} ProtocolInfo
+ * @property {number} version
+ * @property {Array<string>} capabilities
+ */
+
 /**
  *                       encoder,          decoder,          provider,          emitSynced, messageType
  * @type {Array<function(encoding.Encoder, decoding.Decoder, WebsocketProvider, boolean,    number):void>}
@@ -44,6 +111,11 @@ messageHandlers[messageSync] = (
   _messageType
 ) => {
   const docGuid = decoding.readVarString(decoder)
+  if (docGuid === '' && emitSynced) {
+    // upstream servers start with sync step 1 and don't write a guid
+    protocolMismatch(provider, 0, 'The server uses the upstream y-websocket protocol')
+    return
+  }
   const doc = provider.getDoc(docGuid)
   if (!doc) {
     console.error('sync: doc not found with id: ', docGuid)
@@ -55,13 +127,19 @@ messageHandlers[messageSync] = (
   
   //additional logic inside - will read the state vector from the decoder, understand the diff in the doc and 
   //write reply to the encoder with step 1/2 depending of sync message in decoder first byte
+  // the sync step 2 that answers a sync step 1 contains all local changes,
+  // which read-only providers never send
+  const replyEncoder = provider.readOnly && decoding.peekVarUint(decoder) === syncProtocol.messageYjsSyncStep1
+    ? encoding.createEncoder()
+    : encoder
   const syncMessageType = syncProtocol.readSyncMessage(
     decoder,
-    encoder,
+    replyEncoder,
     doc,
     provider
   )
   if (emitSynced && docGuid === provider.roomname && syncMessageType === syncProtocol.messageYjsSyncStep2 && !provider.synced) {
+    provider._refreshAttempts = 0
     provider.synced = true
   }
 
@@ -69,6 +147,11 @@ messageHandlers[messageSync] = (
   if (emitSynced && docGuid !== provider.roomname && syncMessageType === syncProtocol.messageYjsSyncStep2 && !provider._syncedStatus.get(docGuid)) {
     provider.updateSyncedStatus(docGuid, true)
   }
+
+  // pending updates were sent before our sync step 1, so the server applied them
+  if (emitSynced && syncMessageType === syncProtocol.messageYjsSyncStep2) {
+    provider._confirmPendingUpdates(docGuid)
+  }
 }
 
 messageHandlers[messageQueryAwareness] = (
@@ -117,22 +200,99 @@ messageHandlers[messageAuth] = (
   _emitSynced,
   _messageType
 ) => {
+  const docGuid = decoding.readVarString(decoder)
   authProtocol.readAuthMessage(
     decoder,
-    provider.doc,
-    (_ydoc, reason) => permissionDeniedHandler(provider, reason)
+    provider.getDoc(docGuid) || provider.doc,
+    (_ydoc, reason) => permissionDeniedHandler(provider, docGuid, reason)
   )
 }
 
-// @todo - this should depend on awareness.outdatedTime
-const messageReconnectTimeout = 30000
+messageHandlers[messagePing] = (
+  encoder,
+  decoder,
+  _provider,
+  _emitSynced,
+  _messageType
+) => {
+  encoding.writeVarUint(encoder, messagePong)
+  encoding.writeVarString(encoder, decoding.readVarString(decoder))
+  encoding.writeVarUint(encoder, decoding.readVarUint(decoder))
+}
+
+messageHandlers[messagePong] = (
+  _encoder,
+  decoder,
+  provider,
+  _emitSynced,
+  _messageType
+) => {
+  decoding.readVarString(decoder)
+  const pingId = decoding.readVarUint(decoder)
+  if (pingId === provider._pingId && provider._pingSent > 0) {
+    provider.latency = time.getUnixTime() - provider._pingSent
+    provider._pingSent = 0
+    provider.emit('latency', [provider.latency, provider])
+  }
+}
+
+messageHandlers[messageHandshake] = (
+  _encoder,
+  decoder,
+  provider,
+  _emitSynced,
+  _messageType
+) => {
+  decoding.readVarString(decoder)
+  const version = decoding.readVarUint(decoder)
+  /**
+   * @type {Array<string>}
+   */
+  const capabilities = []
+  for (let i = decoding.readVarUint(decoder); i > 0; i--) {
+    capabilities.push(decoding.readVarString(decoder))
+  }
+  provider.remoteProtocol = { version, capabilities }
+  if (version !== protocolVersion) {
+    protocolMismatch(provider, version, `The server uses protocol version ${version}`)
+  }
+}
+
+messageHandlers[messageUpdateRejected] = (
+  _encoder,
+  decoder,
+  provider,
+  _emitSynced,
+  _messageType
+) => {
+  const docGuid = decoding.readVarString(decoder)
+  const reason = decoding.readVarString(decoder)
+  logger.error(`The server rejected an update of ${docGuid}: ${reason}`)
+  provider.emit('update-rejected', [{ docGuid, reason }, provider])
+}
 
 /**
+ * Stop connecting to a server that speaks a different protocol.
+ *
  * @param {WebsocketProvider} provider
+ * @param {number|null} remoteVersion null if the server didn't tell its version
  * @param {string} reason
  */
-const permissionDeniedHandler = (provider, reason) =>
-  console.warn(`Permission denied to access ${provider.url}.\n${reason}`)
+const protocolMismatch = (provider, remoteVersion, reason) => {
+  logger.error(`Protocol mismatch with ${provider.url}: ${reason}`)
+  provider.disconnect()
+  provider.emit('protocol-mismatch', [{ localVersion: protocolVersion, remoteVersion, reason }, provider])
+}
+
+/**
+ * @param {WebsocketProvider} provider
+ * @param {string} docGuid
+ * @param {string} reason
+ */
+const permissionDeniedHandler = (provider, docGuid, reason) => {
+  logger.debug(`Permission denied to access ${docGuid} on ${provider.url}: ${reason}`)
+  provider.emit('permission-denied', [{ docGuid, reason }, provider])
+}
 
 /**
  * @param {WebsocketProvider} provider
@@ -153,6 +313,120 @@ const readMessage = (provider, buf, emitSynced) => {
   return encoder
 }
 
+/**
+ * @typedef {Object} MessageStats
+ * @property {number} messages
+ * @property {number} bytes
+ */
+
+/**
+ * Traffic by message type (e.g. `sync_update` or `awareness`) and by document guid
+ *
+ * @typedef {Object} TrafficStats
+ * @property {Object<string,MessageStats>} byType
+ * @property {Object<string,MessageStats>} byDoc
+ */
+
+/**
+ * @typedef {Object} ProviderStats
+ * @property {TrafficStats} sent
+ * @property {TrafficStats} received
+ * @property {number} reconnects Connections that were established after the first one
+ * @property {number} failedConnectionAttempts
+ * @property {number} disconnectedTime Milliseconds this provider should have been connected, but wasn't
+ * @property {number|null} lastCloseCode
+ * @property {string|null} lastCloseReason
+ * @property {number} unsyncedSubdocs Sub documents that did not sync with the server yet
+ * @property {number} pendingUpdates
+ * @property {number|null} latency
+ */
+
+/**
+ * @type {Object<number,string>}
+ */
+const messageTypeNames = {
+  [messageSync]: 'sync',
+  [messageAwareness]: 'awareness',
+  [messageAuth]: 'auth',
+  [messageQueryAwareness]: 'query_awareness',
+  [messagePing]: 'ping',
+  [messagePong]: 'pong',
+  [messageUnsubscribe]: 'unsubscribe',
+  [messageHandshake]: 'handshake',
+  [messageUpdateRejected]: 'update_rejected'
+}
+
+/**
+ * @type {Object<number,string>}
+ */
+const syncMessageTypeNames = {
+  [syncProtocol.messageYjsSyncStep1]: 'sync_step1',
+  [syncProtocol.messageYjsSyncStep2]: 'sync_step2',
+  [syncProtocol.messageYjsUpdate]: 'sync_update'
+}
+
+/**
+ * @param {TrafficStats} traffic
+ * @param {Uint8Array|ArrayBuffer} buf
+ */
+const countMessage = (traffic, buf) => {
+  const data = buf instanceof Uint8Array ? buf : new Uint8Array(buf)
+  let type = 'malformed'
+  let docGuid = ''
+  try {
+    const decoder = decoding.createDecoder(data)
+    const messageType = decoding.readVarUint(decoder)
+    docGuid = decoding.readVarString(decoder)
+    type = messageType === messageSync
+      ? syncMessageTypeNames[decoding.readVarUint(decoder)] || 'sync'
+      : messageTypeNames[messageType] || 'unknown'
+  } catch (err) {}
+  /**
+   * @param {Object<string,MessageStats>} statsByKey
+   * @param {string} key
+   */
+  const add = (statsByKey, key) => {
+    const stats = statsByKey[key] || (statsByKey[key] = { messages: 0, bytes: 0 })
+    stats.messages++
+    stats.bytes += data.byteLength
+  }
+  add(traffic.byType, type)
+  add(traffic.byDoc, docGuid)
+}
+
+/**
+ * @param {TrafficStats} traffic
+ * @return {TrafficStats}
+ */
+const copyTraffic = traffic => {
+  /**
+   * @param {Object<string,MessageStats>} stats
+   */
+  const copy = stats => {
+    /**
+     * @type {Object<string,MessageStats>}
+     */
+    const res = {}
+    for (const key in stats) {
+      res[key] = { ...stats[key] }
+    }
+    return res
+  }
+  return { byType: copy(traffic.byType), byDoc: copy(traffic.byDoc) }
+}
+
+/**
+ * Send a message to the server and count it in the stats
+ *
+ * @param {WebsocketProvider} provider
+ * @param {WebSocket} ws
+ * @param {Uint8Array|ArrayBuffer} buf
+ */
+const sendWS = (provider, ws, buf) => {
+  countMessage(provider._stats.sent, buf)
+  ws.send(buf)
+}
+
 /**
  * checks if there is content in the decoder apart from [message type][docId] 
  * @param {encoding.Encoder} encoder
@@ -166,26 +440,146 @@ const needSend = (encoder) => {
   return decoding.hasContent(decoder)
 }
 
+/**
+ * Computes url parameters before a connection attempt. Receives `true` if the
+ * credentials should be refreshed.
+ *
+ * @typedef {function(boolean):(Object<string,string>|Promise<Object<string,string>>)} ParamsFactory
+ */
+
+/**
+ * Computes the websocket url before a connection attempt. Receives `true` if
+ * the credentials should be refreshed.
+ *
+ * @typedef {function(boolean):(string|Promise<string>)} UrlFactory
+ */
+
+/**
+ * Computes the time in milliseconds to wait before the next connection
+ * attempt from the number of failed attempts.
+ *
+ * @typedef {function(number, WebsocketProvider):number} ReconnectStrategy
+ */
+
+/**
+ * Exponential backoff starting with 100ms, capped at `provider.maxBackoffTime`.
+ *
+ * @type {ReconnectStrategy}
+ */
+export const exponentialBackoff = (attempts, provider) =>
+  math.min(math.pow(2, attempts) * 100, provider.maxBackoffTime)
+
+/**
+ * Exponential backoff with full jitter: waits a random time up to the
+ * exponential backoff, so that clients don't reconnect in lockstep after a
+ * server restart.
+ *
+ * @type {ReconnectStrategy}
+ */
+export const jitteredBackoff = (attempts, provider) =>
+  random.rand() * exponentialBackoff(attempts, provider)
+
+/**
+ * @param {WebsocketProvider} provider
+ * @param {number} attempts
+ * @return {number}
+ */
+const backoffTime = (provider, attempts) =>
+  provider.reconnectStrategy(attempts, provider)
+
+/**
+ * Try to connect again after `timeout` milliseconds, unless the provider
+ * reached `maxReconnectAttempts`.
+ *
+ * @param {WebsocketProvider} provider
+ * @param {number} timeout
+ */
+const scheduleReconnect = (provider, timeout) => {
+  if (provider.wsUnsuccessfulReconnects > provider.maxReconnectAttempts) {
+    logger.info(`Giving up after ${provider.wsUnsuccessfulReconnects} failed connection attempts`)
+    provider.emit('reconnect-failed', [provider])
+    return
+  }
+  provider._reconnectTimeout = /** @type {any} */ (setTimeout(() => {
+    provider._reconnectTimeout = null
+    setupWS(provider)
+  }, timeout))
+}
+
+/**
+ * Compute the url for the next connection attempt. Returns a promise if the
+ * url (or its parameters) are computed by a factory. The factory is called in
+ * the promise chain, so that errors it throws reject the promise.
+ *
+ * @param {WebsocketProvider} provider
+ * @return {string|Promise<string>}
+ */
+const resolveUrl = (provider) => {
+  const refresh = provider._refreshUrl
+  provider._refreshUrl = false
+  if (provider._getUrl !== null) {
+    const getUrl = provider._getUrl
+    return Promise.resolve().then(() => getUrl(refresh))
+  }
+  if (provider._getParams !== null) {
+    const getParams = provider._getParams
+    return Promise.resolve().then(() => getParams(refresh)).then(params => {
+      provider.params = params
+      return provider.url
+    })
+  }
+  return provider.url
+}
+
 /**
  * @param {WebsocketProvider} provider
  */
 const setupWS = (provider) => {
+  if (provider.shouldConnect && provider.ws === null && !provider.wsconnecting) {
+    const wsUrl = resolveUrl(provider)
+    if (typeof wsUrl === 'string') {
+      openWS(provider, wsUrl)
+      return
+    }
+    provider.wsconnecting = true
+    wsUrl.then(resolvedUrl => {
+      provider.wsconnecting = false
+      openWS(provider, resolvedUrl)
+    }, err => {
+      provider.wsconnecting = false
+      logger.error('Unable to compute the websocket url:', err)
+      provider.emit('connection-error', [err, provider])
+      if (provider.shouldConnect) {
+        provider.wsUnsuccessfulReconnects++
+        scheduleReconnect(provider, backoffTime(provider, provider.wsUnsuccessfulReconnects))
+      }
+    })
+  }
+}
+
+/**
+ * @param {WebsocketProvider} provider
+ * @param {string} wsUrl
+ */
+const openWS = (provider, wsUrl) => {
   if (provider.shouldConnect && provider.ws === null) {
-    logger.debug("Setting up WS", provider.url)
-    const websocket = new provider._WS(provider.url, provider.protocols)
+    logger.debug('Setting up WS', wsUrl)
+    const websocket = new provider._WS(wsUrl, provider.protocols)
     websocket.binaryType = 'arraybuffer'
     provider.ws = websocket
     provider.wsconnecting = true
     provider.wsconnected = false
     provider.synced = false
+    provider.remoteProtocol = null
 
     websocket.onmessage = (event) => {
       provider.wsLastMessageReceived = time.getUnixTime()
+      countMessage(provider._stats.received, event.data)
       // @todo disable emitSync for now, should also notify sub docs
       const encoder = readMessage(provider, new Uint8Array(event.data), true)
       if (encoding.length(encoder) > 1 && needSend(encoder)) {
         if(websocket.readyState === websocket.OPEN) {
-          websocket.send(encoding.toUint8Array(encoder))
+          sendWS(provider, websocket, encoding.toUint8Array(encoder))
         }
         else{
           logger.info("WebSocket send failed, trying to reconnect...")
@@ -201,9 +595,14 @@ const setupWS = (provider) => {
       provider.emit('connection-close', [event, provider])
       provider.ws = null
       provider.wsconnecting = false
+      provider.latency = null
+      provider._pingSent = 0
+      provider._stats.lastCloseCode = event.code
+      provider._stats.lastCloseReason = event.reason
       if (provider.wsconnected) {
         provider.wsconnected = false
         provider.synced = false
+        provider._stats.disconnectedSince = time.getUnixTime()
 
         for (const [docId, docAwareness] of provider.docsAwareness.entries()) {
           const doc = provider.getDoc(docId)
@@ -221,29 +620,65 @@ const setupWS = (provider) => {
         }])
       } else {
         provider.wsUnsuccessfulReconnects++
+        provider._stats.failedConnectionAttempts++
+      }
+      // Increase the timeout with every failed attempt, see `opts.reconnectStrategy`
+      let timeout = backoffTime(provider, provider.wsUnsuccessfulReconnects)
+      if (provider.refreshCloseCodes.indexOf(event.code) >= 0) {
+        // The server rejected our credentials. Compute the url again with
+        // `refresh = true`. Retry right away the first time, then back off
+        // until a connection syncs successfully.
+        provider._refreshUrl = true
+        timeout = provider._refreshAttempts === 0 ? 0 : backoffTime(provider, provider._refreshAttempts)
+        provider._refreshAttempts++
+      } else if (event.code === closeCodeGoingAway) {
+        provider.wsUnsuccessfulReconnects = 0
+        timeout = random.rand() * math.min(1000, provider.maxBackoffTime)
+      } else if (quotaCloseCodes.indexOf(event.code) >= 0) {
+        // reconnecting right away would exceed the quota again
+        timeout = math.max(timeout, provider.quotaBackoffTime * (1 + random.rand()))
+        provider.emit('quota-exceeded', [{ code: event.code, reason: event.reason }, provider])
+      }
+      if (event.code === closeCodeProtocolMismatch && provider.shouldConnect) {
+        protocolMismatch(provider, provider.remoteProtocol && provider.remoteProtocol.version, event.reason)
+      } else if (event.code === closeCodeUpdateRejected) {
+        // we would send the rejected update again
+        provider.disconnect()
+      }
+      if (provider.shouldConnect) {
+        scheduleReconnect(provider, timeout)
       }
-      // Start with no reconnect timeout and increase timeout by
-      // using exponential backoff starting with 100ms
-      setTimeout(
-        setupWS,
-        math.min(
-          math.pow(2, provider.wsUnsuccessfulReconnects) * 100,
-          provider.maxBackoffTime
-        ),
-        provider
-      )
     }
     websocket.onopen = () => {
       provider.wsLastMessageReceived = time.getUnixTime()
       provider.wsconnecting = false
       provider.wsconnected = true
       provider.wsUnsuccessfulReconnects = 0
+      const stats = provider._stats
+      if (stats.connected) {
+        stats.reconnects++
+      }
+      stats.connected = true
+      if (stats.disconnectedSince > 0) {
+        stats.disconnectedTime += time.getUnixTime() - stats.disconnectedSince
+        stats.disconnectedSince = 0
+      }
+
+      const handshake = encoding.createEncoder()
+      encoding.writeVarUint(handshake, messageHandshake)
+      encoding.writeVarString(handshake, provider.roomname)
+      encoding.writeVarUint(handshake, protocolVersion)
+      const capabilities = /permessage-deflate/.test(websocket.extensions || '') ? protocolCapabilities.concat('compression') : protocolCapabilities
+      encoding.writeVarUint(handshake, capabilities.length)
+      capabilities.forEach(capability => { encoding.writeVarString(handshake, capability) })
+      sendWS(provider, websocket, encoding.toUint8Array(handshake))
 
       // always send sync step 1 when connected (main doc & sub docs)
       for (const [k, doc] of provider.docs) {
+        provider._sendPendingUpdates(k)
         slogger.debug("sending sync step 1 for doc: ", k)
         const messageBytes= provider._encodeSyncStep1(k)
-        websocket.send(messageBytes)
+        sendWS(provider, websocket, messageBytes)
         slogger.debug("sent sync step 1 for doc: ", k)
       }
 
@@ -255,7 +690,7 @@ const setupWS = (provider) => {
 
           const encoderAwarenessState = encoding.createEncoder()
           provider.encodeAwareness(encoderAwarenessState, docId, docAwareness, [doc.clientID])
-          websocket.send(encoding.toUint8Array(encoderAwarenessState))
+          sendWS(provider, websocket, encoding.toUint8Array(encoderAwarenessState))
         }
       }
 
@@ -266,22 +701,26 @@ const setupWS = (provider) => {
     provider.emit('status', [{
       status: 'connecting'
     }])
-    logger.debug(`WebSocket setup to {} done`, provider.url)
+    logger.debug(`WebSocket setup to {} done`, wsUrl)
   }
 }
 
 /**
  * @param {WebsocketProvider} provider
  * @param {ArrayBuffer} buf
+ * @return {boolean} whether the message was sent to the server
  */
 const broadcastMessage = (provider, buf) => {
   const ws = provider.ws
+  let sent = false
   if (provider.wsconnected && ws && ws.readyState === ws.OPEN) {
-    ws.send(buf)
+    sendWS(provider, ws, buf)
+    sent = true
   }
   if (provider.bcconnected) {
     bc.publish(provider.bcChannel, buf, provider)
   }
+  return sent
 }
 
 /**
@@ -305,22 +744,52 @@ export class WebsocketProvider extends Observable {
    * @param {object} opts
    * @param {boolean} [opts.connect]
    * @param {awarenessProtocol.Awareness} [opts.awareness]
-   * @param {Object<string,string>} [opts.params] specify url parameters
+   * @param {Object<string,string>|ParamsFactory} [opts.params] specify url parameters, or a
+   *        (possibly async) function that computes them before each connection attempt. It receives `true` if the previous attempt was
+   *        closed with one of `refreshCloseCodes`, e.g. because a token expired
+   * @param {UrlFactory} [opts.getUrl] Compute the complete websocket url before each connection attempt.
+   *        Receives the same `refresh` flag as `opts.params`. Overrides `serverUrl`, `roomname` and `opts.params`
+   * @param {Array<number>} [opts.refreshCloseCodes] Close codes that force `opts.params` or `opts.getUrl` to refresh the credentials
+   *        before reconnecting
    * @param {Array<string>} [opts.protocols] specify websocket protocols
    * @param {typeof WebSocket} [opts.WebSocketPolyfill] Optionall provide a WebSocket polyfill
    * @param {number} [opts.resyncInterval] Request server state every `resyncInterval` milliseconds
    * @param {number} [opts.maxBackoffTime] Maximum amount of time to wait before trying to reconnect (we try to reconnect using exponential backoff)
+   * @param {ReconnectStrategy} [opts.reconnectStrategy] Computes the time to wait before the next connection attempt
+   * @param {number} [opts.quotaBackoffTime] Wait at least this many milliseconds (plus a random delay of up to the same time) before
+   *        reconnecting after the server closed the connection because it exceeded a quota
+   * @param {number} [opts.maxReconnectAttempts] Stop reconnecting and emit `reconnect-failed` after this many failed attempts
+   * @param {number} [opts.messageReconnectTimeout] Close the connection if no message was received for this many milliseconds
+   * @param {number} [opts.heartbeatInterval] Send a ping to the server every `heartbeatInterval` milliseconds. Disabled if <= 0
    * @param {boolean} [opts.disableBc] Disable cross-tab BroadcastChannel communication
+   * @param {boolean} [opts.autoSubdocs] Sync sub documents of `doc` when they are loaded and stop when they are removed
+   * @param {boolean} [opts.readOnly] Receive remote updates, but never send local document updates
+   * @param {number} [opts.statsInterval] Emit a `stats` event every `statsInterval` milliseconds. Disabled if <= 0
+   * @param {number} [opts.updateBatchInterval] Merge the local updates of this many milliseconds into a single message. Disabled if <= 0
+   * @param {import('./pending-updates.js').PendingUpdateStore|null} [opts.pendingUpdateStore] Persist local updates that were made
+   *        while disconnected, so that they are sent after a page reload
    */
   constructor (serverUrl, roomname, doc, {
     connect = true,
     awareness = new awarenessProtocol.Awareness(doc),
     params = {},
     protocols = [],
+    getUrl,
+    refreshCloseCodes = [closeCodeUnauthorized],
     WebSocketPolyfill = WebSocket,
     resyncInterval = -1,
     maxBackoffTime = 2500,
-    disableBc = false
+    reconnectStrategy = jitteredBackoff,
+    maxReconnectAttempts = Infinity,
+    quotaBackoffTime = 30000,
+    messageReconnectTimeout = 30000,
+    heartbeatInterval = 10000,
+    disableBc = false,
+    autoSubdocs = false,
+    readOnly = false,
+    statsInterval = 0,
+    updateBatchInterval = 0,
+    pendingUpdateStore = null
   } = {}) {
     super()
     // ensure that url is always ends with /
@@ -330,12 +799,37 @@ export class WebsocketProvider extends Observable {
     this.serverUrl = serverUrl
     this.bcChannel = serverUrl + '/' + roomname
     this.maxBackoffTime = maxBackoffTime
+    this.quotaBackoffTime = quotaBackoffTime
+    /**
+     * @type {ReconnectStrategy}
+     */
+    this.reconnectStrategy = reconnectStrategy
+    this.maxReconnectAttempts = maxReconnectAttempts
+    /**
+     * @type {any}
+     */
+    this._reconnectTimeout = null
     /**
      * The specified url parameters. This can be safely updated. The changed parameters will be used
-     * when a new connection is established.
+     * when a new connection is established. If `opts.params` is a function, this holds the parameters it
+     * computed for the latest connection attempt.
      * @type {Object<string,string>}
      */
-    this.params = params
+    this.params = typeof params === 'function' ? {} : params
+    /**
+     * @type {ParamsFactory|null}
+     */
+    this._getParams = typeof params === 'function' ? params : null
+    /**
+     * @type {UrlFactory|null}
+     */
+    this._getUrl = getUrl || null
+    /**
+     * @type {Array<number>}
+     */
+    this.refreshCloseCodes = refreshCloseCodes
+    this._refreshUrl = false
+    this._refreshAttempts = 0
     this.protocols = protocols
     this.roomname = roomname
     this.doc = doc
@@ -345,7 +839,41 @@ export class WebsocketProvider extends Observable {
     this.wsconnecting = false
     this.bcconnected = false
     this.disableBc = disableBc
+    /**
+     * Local document updates are not sent while this is true. Awareness is
+     * still shared.
+     * @type {boolean}
+     */
+    this.readOnly = readOnly
     this.wsUnsuccessfulReconnects = 0
+    /**
+     * Counters for `getStats`
+     */
+    this._stats = {
+      /**
+       * @type {TrafficStats}
+       */
+      sent: { byType: {}, byDoc: {} },
+      /**
+       * @type {TrafficStats}
+       */
+      received: { byType: {}, byDoc: {} },
+      // whether a connection was established before
+      connected: false,
+      reconnects: 0,
+      failedConnectionAttempts: 0,
+      disconnectedTime: 0,
+      // when the provider lost its connection, 0 while connected or not supposed to connect
+      disconnectedSince: 0,
+      /**
+       * @type {number|null}
+       */
+      lastCloseCode: null,
+      /**
+       * @type {string|null}
+       */
+      lastCloseReason: null
+    }
     this.messageHandlers = messageHandlers.slice()
     /**
      * @type {boolean}
@@ -356,6 +884,24 @@ export class WebsocketProvider extends Observable {
      */
     this.ws = null
     this.wsLastMessageReceived = 0
+    this.messageReconnectTimeout = messageReconnectTimeout
+    /**
+     * Round-trip time of the latest ping in milliseconds. `null` until a pong
+     * was received on the current connection.
+     * @type {number|null}
+     */
+    this.latency = null
+    /**
+     * Protocol version and capabilities of the server. null until the server
+     * answered our handshake (servers before protocol version 1 don't)
+     * @type {ProtocolInfo|null}
+     */
+    this.remoteProtocol = null
+    this._pingId = 0
+    /**
+     * Time the unanswered ping was sent, 0 if there is none
+     */
+    this._pingSent = 0
     /**
      * Whether to connect to other peers or not
      * @type {boolean}
@@ -376,6 +922,53 @@ export class WebsocketProvider extends Observable {
      * store synced status for sub docs
      */
     this._syncedStatus = new Map()
+    /**
+     * Local updates that could not be sent to the server, by doc guid. They are
+     * sent when the connection is established and removed once the server
+     * answered our sync step 1.
+     * @type {Map<string, import('./pending-updates.js').PendingUpdate>}
+     */
+    this._pendingUpdates = new Map()
+    this._pendingUpdateStore = pendingUpdateStore
+    /**
+     * Pending updates are saved under this id, so that providers of the same
+     * room (e.g. in other tabs) don't overwrite each other's updates
+     */
+    this._pendingUpdateId = doc.clientID
+    /**
+     * Pending updates are saved in order, after they were loaded
+     * @type {Promise<void>}
+     */
+    this._pendingUpdatesSaved = Promise.resolve()
+    this.updateBatchInterval = updateBatchInterval
+    /**
+     * Local updates that are sent together when `_batchTimeout` fires, by doc guid
+     * @type {Map<string, Array<Uint8Array>>}
+     */
+    this._batchedUpdates = new Map()
+    /**
+     * @type {any}
+     */
+    this._batchTimeout = null
+    if (pendingUpdateStore !== null) {
+      this._pendingUpdatesSaved = pendingUpdateStore.load(this.bcChannel).then(records => {
+        records.forEach(({ pendingUpdates }) => {
+          pendingUpdates.forEach(({ docGuid, update, count }) => {
+            this._addPendingUpdate(docGuid, update, count)
+            const doc = this.docs.get(docGuid)
+            if (doc) {
+              Y.applyUpdate(doc, update, this)
+              this._sendPendingUpdates(docGuid)
+            }
+          })
+        })
+        // the updates of other providers (e.g. of a closed tab) are now saved
+        // with our own, so their records can be removed
+        return Promise.all(records.filter(({ id }) => id !== this._pendingUpdateId).map(({ id }) => pendingUpdateStore.save(this.bcChannel, id, [])))
+      }).then(() => {}).catch(err => {
+        logger.error('Unable to load pending updates:', err)
+      })
+    }
     /**
      * @type {number}
      */
@@ -387,7 +980,7 @@ export class WebsocketProvider extends Observable {
           for (const [k, doc] of this.docs) {
             slogger.debug("resending sync step 1 for doc: ", k)
             const messageBytes = this._encodeSyncStep1(k)
-            this.ws.send(messageBytes)
+            sendWS(this, this.ws, messageBytes)
             slogger.debug("resent sync step 1 for doc: ", k)
           }
         }
@@ -412,11 +1005,9 @@ export class WebsocketProvider extends Observable {
      * @param {any} origin
      */
     this._updateHandler = (update, origin) => {
-      if (origin !== this) {
-        const syncUpdateBytes = this._encodeSyncUpdate(this.roomname,update)
+      if (origin !== this && !this.readOnly) {
         this.logUpdate(this.roomname, origin, update);
-
-        broadcastMessage(this, syncUpdateBytes)
+        this._queueUpdate(this.roomname, update)
       }
     }
     this.doc.on('update', this._updateHandler)
@@ -468,20 +1059,57 @@ export class WebsocketProvider extends Observable {
     if (env.isNode && typeof process !== 'undefined') {
       process.on('exit', this._exitHandler)
     }
+    // reconnect right away when the network or the tab comes back
+    this._reconnectNowHandler = () => {
+      if (typeof document !== 'undefined' && document.visibilityState === 'hidden') {
+        return
+      }
+      this.reconnectNow()
+    }
+    if (env.isBrowser) {
+      window.addEventListener('online', this._reconnectNowHandler)
+      document.addEventListener('visibilitychange', this._reconnectNowHandler)
+    }
     awareness.on('update', this._awarenessUpdateHandler)
+    /**
+     * @param {{ loaded: Set<Y.Doc>, removed: Set<Y.Doc> }} changes
+     */
+    this._subdocsHandler = ({ loaded, removed }) => {
+      removed.forEach(subdoc => this.removeSubdoc(subdoc))
+      loaded.forEach(subdoc => this.addSubdoc(subdoc))
+    }
+    this.autoSubdocs = autoSubdocs
+    if (autoSubdocs) {
+      doc.on('subdocs', this._subdocsHandler)
+    }
     this._checkInterval = /** @type {any} */ (setInterval(() => {
       if (
         this.wsconnected &&
-        messageReconnectTimeout <
+        this.messageReconnectTimeout <
           time.getUnixTime() - this.wsLastMessageReceived
       ) {
-        // no message received in a long time - not even your own awareness
-        // updates (which are updated every 15 seconds)
+        // no message received in a long time - not even a pong or your own
+        // awareness updates (which are updated every 15 seconds)
         /** @type {WebSocket} */ (this.ws).close()
       }
     }, messageReconnectTimeout / 10))
-    if (connect) {
-      this.connect()
+    /**
+     * @type {number}
+     */
+    this._statsInterval = 0
+    if (statsInterval > 0) {
+      this._statsInterval = /** @type {any} */ (setInterval(() => {
+        this.emit('stats', [this.getStats(), this])
+      }, statsInterval))
+    }
+    /**
+     * @type {number}
+     */
+    this._heartbeatInterval = 0
+    if (heartbeatInterval > 0) {
+      this._heartbeatInterval = /** @type {any} */ (setInterval(() => {
+        this.ping()
+      }, heartbeatInterval))
     }
     /**
      * Listen to sub documents updates
@@ -490,12 +1118,21 @@ export class WebsocketProvider extends Observable {
      */
     this._getSubDocUpdateHandler = (id) => {
       return (update, origin) => {
-        if (origin === this) return
+        if (origin === this || this.readOnly) return
         this.logUpdate(id, origin, update);
-        const syncUpdateBytes = this._encodeSyncUpdate(id,update);
-        broadcastMessage(this, syncUpdateBytes)
+        this._queueUpdate(id, update)
       }
     }
+    if (autoSubdocs) {
+      doc.getSubdocs().forEach(subdoc => {
+        if (subdoc.shouldLoad) {
+          this.addSubdoc(subdoc)
+        }
+      })
+    }
+    if (connect) {
+      this.connect()
+    }
   }
 
   logUpdate(docName, origin, update) {
@@ -505,6 +1142,109 @@ export class WebsocketProvider extends Observable {
     }
   }
 
+  /**
+   * Number of local updates that were not confirmed by the server yet
+   * @type {number}
+   */
+  get pendingUpdates () {
+    let count = 0
+    this._pendingUpdates.forEach(pending => { count += pending.count })
+    this._batchedUpdates.forEach(updates => { count += updates.length })
+    return count
+  }
+
+  /**
+   * Send a local update now, or with the next batch if `updateBatchInterval` is set
+   * @param {string} docGuid
+   * @param {Uint8Array} update
+   */
+  _queueUpdate (docGuid, update) {
+    if (this.updateBatchInterval <= 0) {
+      this._sendUpdate(docGuid, update, 1)
+      return
+    }
+    const updates = this._batchedUpdates.get(docGuid)
+    if (updates === undefined) {
+      this._batchedUpdates.set(docGuid, [update])
+    } else {
+      updates.push(update)
+    }
+    if (this._batchTimeout === null) {
+      this._batchTimeout = setTimeout(() => this._flushBatchedUpdates(), this.updateBatchInterval)
+    }
+  }
+
+  /**
+   * Send the batched updates of all documents, each merged into one message
+   */
+  _flushBatchedUpdates () {
+    clearTimeout(this._batchTimeout)
+    this._batchTimeout = null
+    const batches = this._batchedUpdates
+    this._batchedUpdates = new Map()
+    batches.forEach((updates, docGuid) => {
+      this._sendUpdate(docGuid, updates.length === 1 ? updates[0] : Y.mergeUpdates(updates), updates.length)
+    })
+  }
+
+  /**
+   * @param {string} docGuid
+   * @param {Uint8Array} update
+   * @param {number} count number of local updates merged into `update`
+   */
+  _sendUpdate (docGuid, update, count) {
+    if (!broadcastMessage(this, this._encodeSyncUpdate(docGuid, update))) {
+      this._addPendingUpdate(docGuid, update, count)
+    }
+  }
+
+  /**
+   * @param {string} docGuid
+   * @param {Uint8Array} update
+   * @param {number} [count] number of local updates merged into `update`
+   */
+  _addPendingUpdate (docGuid, update, count = 1) {
+    const pending = this._pendingUpdates.get(docGuid)
+    this._pendingUpdates.set(docGuid, pending === undefined
+      ? { docGuid, update, count }
+      : { docGuid, update: Y.mergeUpdates([pending.update, update]), count: pending.count + count })
+    this._savePendingUpdates()
+  }
+
+  /**
+   * Send the pending updates of a document if we are connected
+   * @param {string} docGuid
+   */
+  _sendPendingUpdates (docGuid) {
+    const pending = this._pendingUpdates.get(docGuid)
+    if (pending !== undefined && this.wsconnected && this.ws !== null && this.ws.readyState === this.ws.OPEN) {
+      slogger.debug(`sending ${pending.count} pending updates for doc: `, docGuid)
+      sendWS(this, this.ws, this._encodeSyncUpdate(docGuid, pending.update))
+    }
+  }
+
+  /**
+   * @param {string} docGuid
+   */
+  _confirmPendingUpdates (docGuid) {
+    if (this._pendingUpdates.delete(docGuid)) {
+      this._savePendingUpdates()
+      if (this._pendingUpdates.size === 0) {
+        this.emit('flushed', [this])
+      }
+    }
+  }
+
+  _savePendingUpdates () {
+    const store = this._pendingUpdateStore
+    if (store !== null) {
+      const pendingUpdates = Array.from(this._pendingUpdates.values())
+      this._pendingUpdatesSaved = this._pendingUpdatesSaved.then(() => store.save(this.bcChannel, this._pendingUpdateId, pendingUpdates)).catch(err => {
+        logger.error('Unable to save pending updates:', err)
+      })
+    }
+  }
+
   get url () {
     const encodedParams = url.encodeQueryParams(this.params)
     return this.serverUrl + '/' + this.roomname +
@@ -546,6 +1286,9 @@ export class WebsocketProvider extends Observable {
    * @param {Y.Doc} subdoc
    */
   addSubdoc (subdoc) {
+    if (this.docs.has(subdoc.guid)) {
+      return
+    }
     let updateHandler = this._getSubDocUpdateHandler(subdoc.guid)
     this.docs.set(subdoc.guid, subdoc)
     subdoc.on('update', updateHandler)
@@ -557,18 +1300,51 @@ export class WebsocketProvider extends Observable {
     subDocAwareness.on('update', subDocAwarenessUpdateHandler)
     this.docsAwarenessUpdateHandlers.set(subdoc.guid, subDocAwarenessUpdateHandler)
 
+    const pending = this._pendingUpdates.get(subdoc.guid)
+    if (pending !== undefined) {
+      Y.applyUpdate(subdoc, pending.update, this)
+      this._sendPendingUpdates(subdoc.guid)
+    }
+
+    // the server only grants the sub document once it received the update
+    // that embeds it in its parent
+    this._flushBatchedUpdates()
     // invoke sync step1
     const messageBytes = this._encodeSyncStep1(subdoc.guid)
     broadcastMessage(this, messageBytes)
   }
 
   /**
+   * Stop syncing a sub document. The server is told to unsubscribe this
+   * connection, which also removes our awareness state of the sub document.
+   * Local updates that were not sent yet are kept until the sub document is
+   * added again.
+   *
    * @param {Y.Doc} subdoc
    */
   removeSubdoc (subdoc) {
-    subdoc.off('update', this.subdocUpdateHandlers.get(subdoc.guid))
-    const awareness = this.docsAwareness.get(subdoc.guid)
-    awareness.off('update', this.docsAwarenessUpdateHandlers.get(subdoc.guid))
+    const guid = subdoc.guid
+    if (guid === this.roomname || this.docs.get(guid) !== subdoc) {
+      return
+    }
+    subdoc.off('update', this.subdocUpdateHandlers.get(guid))
+    // send the local changes before we unsubscribe
+    this._flushBatchedUpdates()
+    const awareness = this.docsAwareness.get(guid)
+    awareness.off('update', this.docsAwarenessUpdateHandlers.get(guid))
+    awareness.destroy()
+    const ws = this.ws
+    if (this.wsconnected && ws !== null && ws.readyState === ws.OPEN) {
+      const encoder = encoding.createEncoder()
+      encoding.writeVarUint(encoder, messageUnsubscribe)
+      encoding.writeVarString(encoder, guid)
+      sendWS(this, ws, encoding.toUint8Array(encoder))
+    }
+    this.docs.delete(guid)
+    this.docsAwareness.delete(guid)
+    this.subdocUpdateHandlers.delete(guid)
+    this.docsAwarenessUpdateHandlers.delete(guid)
+    this._syncedStatus.delete(guid)
   }
 
   /**
@@ -612,17 +1388,72 @@ export class WebsocketProvider extends Observable {
     }
   }
 
+  /**
+   * Send a ping to the server. The round-trip time is available as `latency`
+   * when the server answered.
+   */
+  ping () {
+    const ws = this.ws
+    if (this.wsconnected && ws !== null && ws.readyState === ws.OPEN) {
+      this._pingId = (this._pingId + 1) % 0x40000000
+      this._pingSent = time.getUnixTime()
+      const encoder = encoding.createEncoder()
+      encoding.writeVarUint(encoder, messagePing)
+      encoding.writeVarString(encoder, this.roomname)
+      encoding.writeVarUint(encoder, this._pingId)
+      sendWS(this, ws, encoding.toUint8Array(encoder))
+    }
+  }
+
+  /**
+   * Connection statistics to diagnose sync problems
+   *
+   * @return {ProviderStats}
+   */
+  getStats () {
+    const stats = this._stats
+    let unsyncedSubdocs = 0
+    this.docs.forEach((_doc, guid) => {
+      if (guid !== this.roomname && !this._syncedStatus.get(guid)) {
+        unsyncedSubdocs++
+      }
+    })
+    return {
+      sent: copyTraffic(stats.sent),
+      received: copyTraffic(stats.received),
+      reconnects: stats.reconnects,
+      failedConnectionAttempts: stats.failedConnectionAttempts,
+      disconnectedTime: stats.disconnectedTime + (stats.disconnectedSince > 0 ? time.getUnixTime() - stats.disconnectedSince : 0),
+      lastCloseCode: stats.lastCloseCode,
+      lastCloseReason: stats.lastCloseReason,
+      unsyncedSubdocs,
+      pendingUpdates: this.pendingUpdates,
+      latency: this.latency
+    }
+  }
+
   destroy () {
     if (this._resyncInterval !== 0) {
       clearInterval(this._resyncInterval)
     }
+    if (this._statsInterval !== 0) {
+      clearInterval(this._statsInterval)
+    }
+    if (this._heartbeatInterval !== 0) {
+      clearInterval(this._heartbeatInterval)
+    }
     clearInterval(this._checkInterval)
     this.disconnect()
     if (env.isNode && typeof process !== 'undefined') {
       process.off('exit', this._exitHandler)
     }
+    if (env.isBrowser) {
+      window.removeEventListener('online', this._reconnectNowHandler)
+      document.removeEventListener('visibilitychange', this._reconnectNowHandler)
+    }
     this.awareness.off('update', this._awarenessUpdateHandler)
     this.doc.off('update', this._updateHandler)
+    this.doc.off('subdocs', this._subdocsHandler)
     super.destroy()
   }
 
@@ -639,8 +1470,10 @@ export class WebsocketProvider extends Observable {
     const sync1Bytes= this._encodeSyncStep1(this.roomname)
     bc.publish(this.bcChannel, sync1Bytes, this)
     // broadcast local state
-    const sync2Bytes = this._encodeSyncStep2(this.roomname)
-    bc.publish(this.bcChannel, sync2Bytes, this)
+    if (!this.readOnly) {
+      const sync2Bytes = this._encodeSyncStep2(this.roomname)
+      bc.publish(this.bcChannel, sync2Bytes, this)
+    }
     logger.debug(`Connecting broadcast to ${this.url}, published sync step1`)
 
     // write queryAwareness
@@ -677,8 +1510,31 @@ export class WebsocketProvider extends Observable {
   }
 
   
+  /**
+   * Skip the remaining backoff time and try to connect now. Does nothing if
+   * the provider is connected, connecting or was disconnected by `disconnect()`.
+   * Also resumes after `reconnect-failed`.
+   */
+  reconnectNow () {
+    if (this.shouldConnect && this.ws === null && !this.wsconnecting) {
+      clearTimeout(this._reconnectTimeout)
+      this._reconnectTimeout = null
+      this.wsUnsuccessfulReconnects = 0
+      setupWS(this)
+    }
+  }
+
   disconnect () {
+    // don't hold back local updates when the connection is closed on purpose
+    this._flushBatchedUpdates()
     this.shouldConnect = false
+    const stats = this._stats
+    if (stats.disconnectedSince > 0) {
+      stats.disconnectedTime += time.getUnixTime() - stats.disconnectedSince
+      stats.disconnectedSince = 0
+    }
+    clearTimeout(this._reconnectTimeout)
+    this._reconnectTimeout = null
     this.disconnectBc()
     if (this.ws !== null) {
       this.ws.close()
@@ -687,7 +1543,13 @@ export class WebsocketProvider extends Observable {
 
   connect () {
     this.shouldConnect = true
+    if (!this.wsconnected && this._stats.disconnectedSince === 0) {
+      this._stats.disconnectedSince = time.getUnixTime()
+    }
     if (!this.wsconnected && this.ws === null) {
+      clearTimeout(this._reconnectTimeout)
+      this._reconnectTimeout = null
+      this.wsUnsuccessfulReconnects = 0
       setupWS(this)
       this.connectBc()
     }
@@ -0,0 +1,37 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const http = require('http')
+const utils = require('../bin/utils.cjs')
+const api = require('../bin/api.cjs')
+
+test('reading JSON doesn\'t change the shared objects of a document', async () => {
+  const server = http.createServer((req, res) => {
+    if (!api.handleRequest(req, res)) {
+      res.writeHead(404)
+      res.end()
+    }
+  })
+  await new Promise(resolve => server.listen(0, () => resolve(undefined)))
+  /**
+   * @param {Object<string,string>} objects
+   */
+  const getJSON = async objects => {
+    const url = `http://localhost:${/** @type {any} */ (server.address()).port}/docs/room/json?objects=${encodeURIComponent(JSON.stringify(objects))}`
+    const res = await fetch(url)
+    return { status: res.status, body: await res.json() }
+  }
+  const doc = utils.getYDoc('room')
+  try {
+    doc.getText('text').insert(0, 'hello')
+    assert.deepStrictEqual(await getJSON({ text: 'Text' }), {
+      status: 200,
+      body: { room: 'room', data: { text: { type: 'Text', content: 'hello' } } }
+    })
+    assert.strictEqual((await getJSON({ text: 'Map' })).status, 400)
+    assert.strictEqual((await getJSON({ missing: 'Map' })).status, 404)
+    assert.deepStrictEqual(Array.from(doc.share.keys()), ['text'])
+  } finally {
+    doc.destroy()
+    server.close()
+  }
+})
@@ -0,0 +1,42 @@
+import test from 'node:test'
+import assert from 'node:assert'
+import * as Y from 'yjs'
+import utils from '../bin/utils.cjs'
+import { startServer, waitFor } from './helpers.js'
+
+test('clients hidden by the awareness filter are not sent to anyone', async () => {
+  utils.setAwarenessFilter((state, clientID) => state.hidden ? null : state)
+  let awarenessMessages = 0
+  const server = await startServer(conn => {
+    conn.on('message', /** @param {ArrayBuffer} data */ data => {
+      // messageAwareness
+      if (new Uint8Array(data)[0] === 1) {
+        awarenessMessages++
+      }
+    })
+  })
+  const docA = new Y.Doc()
+  const providerA = server.connect('awareness-room', docA)
+  const docB = new Y.Doc()
+  const providerB = server.connect('awareness-room', docB)
+  try {
+    await waitFor(() => providerA.synced && providerB.synced)
+    providerB.awareness.setLocalState({ name: 'visible' })
+    await waitFor(() => providerA.awareness.getStates().has(docB.clientID))
+    awarenessMessages = 0
+    providerA.awareness.setLocalState({ name: 'hidden', hidden: true })
+    await new Promise(resolve => setTimeout(resolve, 300))
+    // the hidden client must not be told that its state was removed, or it
+    // would broadcast its state again and again
+    assert.ok(awarenessMessages < 5, `${awarenessMessages} awareness messages`)
+    assert.strictEqual(providerB.awareness.getStates().has(docA.clientID), false)
+    assert.deepStrictEqual(providerA.awareness.getLocalState(), { name: 'hidden', hidden: true })
+  } finally {
+    utils.setAwarenessFilter(null)
+    providerA.destroy()
+    providerB.destroy()
+    docA.destroy()
+    docB.destroy()
+    await server.close()
+  }
+})
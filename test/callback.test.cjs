@@ -0,0 +1,51 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const http = require('http')
+const os = require('os')
+const path = require('path')
+
+test('loading a document is not reported as a change', async () => {
+  /**
+   * @type {Array<any>}
+   */
+  const callbacks = []
+  const receiver = http.createServer((req, res) => {
+    let body = ''
+    req.on('data', chunk => { body += chunk })
+    req.on('end', () => {
+      callbacks.push(JSON.parse(body))
+      res.end()
+    })
+  })
+  await new Promise(resolve => receiver.listen(0, () => resolve(undefined)))
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'y-websocket-test-'))
+  // the server modules read their settings when they are loaded
+  Object.assign(process.env, {
+    YPERSISTENCE: dir,
+    YPERSISTENCE_ADAPTER: 'fs',
+    CALLBACK_URL: `http://localhost:${/** @type {any} */ (receiver.address()).port}/`,
+    CALLBACK_DEBOUNCE_WAIT: '20',
+    CALLBACK_OBJECTS: JSON.stringify({ t: { type: 'Text', payload: 'delta' } })
+  })
+  const Y = require('yjs')
+  const utils = require('../bin/utils.cjs')
+  try {
+    const stored = new Y.Doc()
+    stored.getText('t').insert(0, 'stored')
+    await /** @type {any} */ (utils.getPersistence()).writeState('room', stored)
+    const doc = utils.getYDoc('room')
+    await doc.whenInitialized
+    await new Promise(resolve => setTimeout(resolve, 100))
+    assert.strictEqual(callbacks.length, 0)
+    doc.getText('t').insert(0, 'X')
+    await new Promise(resolve => setTimeout(resolve, 100))
+    assert.strictEqual(callbacks.length, 1)
+    assert.deepStrictEqual(callbacks[0].data.t.changes, [{ path: [], delta: [{ insert: 'X' }] }])
+    doc.destroy()
+  } finally {
+    receiver.closeAllConnections()
+    receiver.close()
+    fs.rmSync(dir, { recursive: true, force: true })
+  }
+})
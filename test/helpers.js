@@ -0,0 +1,49 @@
+import http from 'http'
+import WebSocket from 'ws'
+import utils from '../bin/utils.cjs'
+import { WebsocketProvider } from '../src/y-websocket.js'
+
+/**
+ * @param {function():boolean} f
+ * @param {number} [timeout]
+ */
+export const waitFor = async (f, timeout = 2000) => {
+  const start = Date.now()
+  while (!f()) {
+    if (Date.now() - start > timeout) {
+      throw new Error('Timeout')
+    }
+    await new Promise(resolve => setTimeout(resolve, 10))
+  }
+}
+
+/**
+ * Start a server on an ephemeral port that passes connections to
+ * `setupWSConnection`.
+ *
+ * @param {function(any):void} [onConnection] called with every new connection
+ */
+export const startServer = async (onConnection = () => {}) => {
+  const server = http.createServer()
+  const wss = new WebSocket.Server({ server })
+  wss.on('connection', (conn, req) => {
+    onConnection(conn)
+    utils.setupWSConnection(conn, req)
+  })
+  await new Promise(resolve => server.listen(0, () => resolve(undefined)))
+  const serverUrl = 'ws://localhost:' + /** @type {any} */ (server.address()).port
+  return {
+    /**
+     * @param {string} roomname
+     * @param {import('yjs').Doc} doc
+     * @param {Object<string,any>} [opts] options of the provider
+     */
+    connect: (roomname, doc, opts = {}) => new WebsocketProvider(serverUrl, roomname, doc, { WebSocketPolyfill: /** @type {any} */ (WebSocket), disableBc: true, ...opts }),
+    close: async () => {
+      // stops the awareness timers of the server documents
+      utils.docs.forEach(doc => doc.destroy())
+      wss.close()
+      await new Promise(resolve => server.close(() => resolve(undefined)))
+    }
+  }
+}
@@ -0,0 +1,50 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const Y = require('yjs')
+const persistence = require('../bin/persistence.cjs')
+
+/**
+ * @param {string} name
+ * @param {string} dir
+ */
+const createAdapter = (name, dir) => {
+  try {
+    return persistence.createAdapter(name, name === 'sqlite' ? path.join(dir, 'db.sqlite') : dir)
+  } catch (err) {
+    // sqlite needs node >= 22.5 or better-sqlite3
+    return null
+  }
+}
+
+;['leveldb', 'fs', 'sqlite'].forEach(name => {
+  test(`${name}: compacting a document keeps its snapshots`, async t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'y-websocket-test-'))
+    const adapter = createAdapter(name, dir)
+    if (adapter === null) {
+      fs.rmSync(dir, { recursive: true, force: true })
+      t.skip(`${name} is not available`)
+      return
+    }
+    const { bindState, snapshot, compact, listSnapshots } = /** @type {any} */ (persistence.createPersistence(adapter))
+    try {
+      const ydoc = new Y.Doc({ gc: false })
+      await bindState('doc', ydoc)
+      ydoc.getText('t').insert(0, 'hello')
+      await snapshot('doc', ydoc, 'first')
+      ydoc.getText('t').insert(5, ' world')
+      await compact('doc', ydoc)
+      assert.deepStrictEqual(await listSnapshots('doc'), ['first'])
+      const stored = new Y.Doc()
+      await bindState('doc', stored)
+      assert.strictEqual(stored.getText('t').toString(), 'hello world')
+      ydoc.destroy()
+      stored.destroy()
+    } finally {
+      await adapter.destroy()
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+  })
+})
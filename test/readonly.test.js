@@ -0,0 +1,27 @@
+import test from 'node:test'
+import assert from 'node:assert'
+import * as Y from 'yjs'
+import utils from '../bin/utils.cjs'
+import { startServer, waitFor } from './helpers.js'
+
+test('read-only providers never send local changes', async () => {
+  const server = await startServer()
+  const doc = new Y.Doc()
+  const provider = server.connect('readonly-room', doc, { readOnly: true })
+  try {
+    await waitFor(() => provider.synced)
+    doc.getText('t').insert(0, 'local')
+    // the server answers the sync step 1 of the new connection with its own
+    // sync step 1, which must not be answered with the local changes
+    provider.disconnect()
+    provider.connect()
+    await waitFor(() => provider.synced)
+    await new Promise(resolve => setTimeout(resolve, 100))
+    const serverDoc = /** @type {import('../bin/utils.cjs').WSSharedDoc} */ (utils.docs.get('readonly-room'))
+    assert.strictEqual(serverDoc.getText('t').toString(), '')
+  } finally {
+    provider.destroy()
+    doc.destroy()
+    await server.close()
+  }
+})
@@ -0,0 +1,58 @@
+import test from 'node:test'
+import assert from 'node:assert'
+import * as Y from 'yjs'
+import utils from '../bin/utils.cjs'
+import { startServer, waitFor } from './helpers.js'
+
+test('sub documents are synced separately with the clients that subscribed to them', async () => {
+  const server = await startServer()
+  const docA = new Y.Doc()
+  const providerA = server.connect('subdocs-room', docA)
+  const docB = new Y.Doc()
+  const providerB = server.connect('subdocs-room', docB)
+  try {
+    await waitFor(() => providerA.synced && providerB.synced)
+    const subdocA1 = new Y.Doc()
+    const subdocA2 = new Y.Doc()
+    docA.getMap('subdocs').set('1', subdocA1)
+    docA.getMap('subdocs').set('2', subdocA2)
+    providerA.addSubdoc(subdocA1)
+    providerA.addSubdoc(subdocA2)
+    await waitFor(() => docB.getMap('subdocs').size === 2)
+    const subdocB1 = /** @type {Y.Doc} */ (docB.getMap('subdocs').get('1'))
+    const subdocB2 = /** @type {Y.Doc} */ (docB.getMap('subdocs').get('2'))
+    // B only subscribes to the first sub document
+    providerB.addSubdoc(subdocB1)
+    await waitFor(() => {
+      const subdoc = utils.docs.get(subdocA1.guid)
+      return subdoc !== undefined && subdoc.conns.size === 2
+    })
+
+    subdocA1.getText('t').insert(0, 'first')
+    subdocA2.getText('t').insert(0, 'second')
+    await waitFor(() => subdocB1.getText('t').toString() === 'first')
+    const serverSubdoc1 = /** @type {import('../bin/utils.cjs').WSSharedDoc} */ (utils.docs.get(subdocA1.guid))
+    const serverSubdoc2 = /** @type {import('../bin/utils.cjs').WSSharedDoc} */ (utils.docs.get(subdocA2.guid))
+    await waitFor(() => serverSubdoc2.getText('t').toString() === 'second')
+    assert.strictEqual(subdocB2.getText('t').toString(), '')
+
+    // the edits are stored in the sub documents, not in the main document
+    assert.strictEqual(serverSubdoc1.getText('t').toString(), 'first')
+    const serverDoc = /** @type {import('../bin/utils.cjs').WSSharedDoc} */ (utils.docs.get('subdocs-room'))
+    assert.strictEqual(serverDoc.getText('t').toString(), '')
+    assert.deepStrictEqual(Array.from(serverDoc.getSubdocGuids()).sort(), [subdocA1.guid, subdocA2.guid].sort())
+
+    // unsubscribing and closing remove the connections from the sub document
+    providerB.removeSubdoc(subdocB1)
+    await waitFor(() => serverSubdoc1.conns.size === 1)
+    providerA.disconnect()
+    await waitFor(() => serverSubdoc1.conns.size === 0)
+  } finally {
+    providerA.destroy()
+    providerB.destroy()
+    // stops the awareness timers of the documents and their sub documents
+    docA.destroy()
+    docB.destroy()
+    await server.close()
+  }
+})
@@ -0,0 +1,34 @@
+import test from 'node:test'
+import assert from 'node:assert'
+import * as Y from 'yjs'
+import { startServer, waitFor } from './helpers.js'
+
+test('errors of the params factory are reported as connection errors', async () => {
+  const server = await startServer()
+  const doc = new Y.Doc()
+  let calls = 0
+  const provider = server.connect('url-room', doc, {
+    params: () => {
+      if (calls++ === 0) {
+        throw new Error('No token')
+      }
+      return { token: 'secret' }
+    },
+    maxBackoffTime: 50
+  })
+  /**
+   * @type {Array<any>}
+   */
+  const errors = []
+  provider.on('connection-error', /** @param {any} err */ err => { errors.push(err) })
+  try {
+    await waitFor(() => provider.synced)
+    assert.strictEqual(errors.length, 1)
+    assert.strictEqual(errors[0].message, 'No token')
+    assert.deepStrictEqual(provider.params, { token: 'secret' })
+  } finally {
+    provider.destroy()
+    doc.destroy()
+    await server.close()
+  }
+})